@@ -2,20 +2,78 @@
  * Background service worker for extension lifecycle and storage management
  */
 
-const STORAGE_KEY = "hourlyWage"
-const DEFAULT_WAGE = 0
+// Shared storage helpers (also provides STORAGE_KEY and DEFAULT_WAGE)
+importScripts(
+  "../scripts/currency.js",
+  "../scripts/exchange-rates.js",
+  "../scripts/income.js",
+  "../scripts/tax.js",
+  "../scripts/storage.js",
+  "../scripts/policy.js",
+  "../scripts/settings-schema.js",
+  "../scripts/sync.js"
+)
+
+// Settings the stored wage breakdown is calculated from
+const WAGE_BREAKDOWN_SOURCE_KEYS = [
+  STORAGE_KEY,
+  CURRENCY_KEY,
+  TAX_SETTINGS_KEY,
+  INCOME_SETTINGS_KEY,
+  TRUE_WAGE_SETTINGS_KEY,
+]
+
+// Breakdown updates run one at a time, so the last one stored was
+// calculated from the latest settings
+let wageBreakdownUpdate = Promise.resolve()
+
+/**
+ * Recalculate the wage breakdown content scripts convert with
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+function refreshWageBreakdown() {
+  wageBreakdownUpdate = wageBreakdownUpdate.then(saveWageBreakdown)
+  return wageBreakdownUpdate
+}
+
+/**
+ * Pick up settings synced from other devices while the browser was closed
+ */
+chrome.runtime.onStartup.addListener(() => {
+  mergeWithSync()
+  applyManagedPolicy()
+  refreshWageBreakdown()
+})
 
 /**
- * Initialize extension on installation
+ * Initialize extension on installation and migrate settings on update
  */
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+  if (details.reason !== "install" && details.reason !== "update") {
+    return
+  }
+
+  // Fills defaults on first install; migrates and repairs on update
+  const result = await runSettingsMigrations()
+  if (!result) {
+    return
+  }
+
+  // Administrator policy takes precedence over defaults and stored settings
+  await applyManagedPolicy()
+
+  // Tax tables may have changed with the update
+  await refreshWageBreakdown()
+
   if (details.reason === "install") {
-    // Set default wage on first install
-    chrome.storage.local.set({ [STORAGE_KEY]: DEFAULT_WAGE }, () => {
-      console.log("Extension installed. Default wage set.")
-    })
-  } else if (details.reason === "update") {
-    console.log("Extension updated.")
+    console.log("Extension installed. Default settings set.")
+  } else {
+    console.log(
+      `Extension updated. Settings schema ${result.fromVersion} -> ${result.toVersion}.`,
+      result.repaired.length > 0
+        ? `Repaired: ${result.repaired.join(", ")}`
+        : ""
+    )
   }
 })
 
@@ -34,27 +92,38 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const wage = request.wage
 
     // Validate wage
-    if (typeof wage !== "number" || isNaN(wage) || wage < 0) {
+    if (!isValidHourlyWage(wage)) {
       sendResponse({ success: false, error: "Invalid wage value" })
       return
     }
 
-    chrome.storage.local.set({ [STORAGE_KEY]: wage }, () => {
-      // Notify all tabs to reprocess prices immediately
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach((tab) => {
-          // Send reprocess message with a small delay to ensure storage is updated
-          setTimeout(() => {
-            chrome.tabs
-              .sendMessage(tab.id, { action: "reprocess" })
-              .catch(() => {
-                // Ignore errors for tabs that don't have content script
-              })
-          }, 50)
+    getManagedPolicy().then(async (policy) => {
+      const currency = await getCurrency()
+      if (wage > 0 && clampWageToPolicy(wage, policy, currency) !== wage) {
+        sendResponse({
+          success: false,
+          error: "Wage is outside the range set by your organization",
         })
-      })
+        return
+      }
 
-      sendResponse({ success: true })
+      chrome.storage.local.set({ [STORAGE_KEY]: wage }, () => {
+        // Notify all tabs to reprocess prices immediately
+        chrome.tabs.query({}, (tabs) => {
+          tabs.forEach((tab) => {
+            // Send reprocess message with a small delay to ensure storage is updated
+            setTimeout(() => {
+              chrome.tabs
+                .sendMessage(tab.id, { action: "reprocess" })
+                .catch(() => {
+                  // Ignore errors for tabs that don't have content script
+                })
+            }, 50)
+          })
+        })
+
+        sendResponse({ success: true })
+      })
     })
     return true // Keep message channel open for async response
   }
@@ -77,28 +146,56 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true // Keep message channel open for async response
   }
 
+  if (request.action === "startPicker") {
+    // Forward to the content script of the tab the popup was opened on
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) {
+        sendResponse({ success: false })
+        return
+      }
+      chrome.tabs
+        .sendMessage(tabs[0].id, { action: "startPicker", mode: request.mode })
+        .then((response) => sendResponse(response))
+        .catch(() => {
+          // No content script on this tab (e.g. a browser page)
+          sendResponse({ success: false })
+        })
+    })
+    return true // Keep message channel open for async response
+  }
+
   if (request.action === "setDisplayMode") {
     const mode = request.mode
 
     // Validate mode
-    if (mode !== "side-by-side" && mode !== "replace") {
+    if (!isValidDisplayMode(mode)) {
       sendResponse({ success: false, error: "Invalid display mode" })
       return
     }
 
-    chrome.storage.local.set({ displayMode: mode }, () => {
-      // Notify all tabs to update display mode
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach((tab) => {
-          chrome.tabs
-            .sendMessage(tab.id, { action: "setDisplayMode", mode: mode })
-            .catch(() => {
-              // Ignore errors for tabs that don't have content script
-            })
+    getManagedPolicy().then((policy) => {
+      if (policy.displayMode && policy.displayMode !== mode) {
+        sendResponse({
+          success: false,
+          error: "Display mode is set by your organization",
         })
-      })
+        return
+      }
 
-      sendResponse({ success: true })
+      chrome.storage.local.set({ displayMode: mode }, () => {
+        // Notify all tabs to update display mode
+        chrome.tabs.query({}, (tabs) => {
+          tabs.forEach((tab) => {
+            chrome.tabs
+              .sendMessage(tab.id, { action: "setDisplayMode", mode: mode })
+              .catch(() => {
+                // Ignore errors for tabs that don't have content script
+              })
+          })
+        })
+
+        sendResponse({ success: true })
+      })
     })
     return true // Keep message channel open for async response
   }
@@ -127,32 +224,36 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const settings = request.settings
 
     // Validate settings
-    if (
-      !settings ||
-      (settings.type !== "money" && settings.type !== "hours") ||
-      typeof settings.green !== "number" ||
-      typeof settings.yellow !== "number" ||
-      typeof settings.red !== "number"
-    ) {
+    if (!isValidTierSettings(settings)) {
       sendResponse({ success: false, error: "Invalid tier settings" })
       return
     }
 
-    chrome.storage.local.set({ tierSettings: settings }, () => {
-      // Notify all tabs to reprocess with new tier settings
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach((tab) => {
-          setTimeout(() => {
-            chrome.tabs
-              .sendMessage(tab.id, { action: "reprocess" })
-              .catch(() => {
-                // Ignore errors for tabs that don't have content script
-              })
-          }, 50)
+    getManagedPolicy().then((policy) => {
+      if (policy.tierSettings) {
+        sendResponse({
+          success: false,
+          error: "Price tiers are set by your organization",
         })
-      })
+        return
+      }
 
-      sendResponse({ success: true })
+      chrome.storage.local.set({ tierSettings: settings }, () => {
+        // Notify all tabs to reprocess with new tier settings
+        chrome.tabs.query({}, (tabs) => {
+          tabs.forEach((tab) => {
+            setTimeout(() => {
+              chrome.tabs
+                .sendMessage(tab.id, { action: "reprocess" })
+                .catch(() => {
+                  // Ignore errors for tabs that don't have content script
+                })
+            }, 50)
+          })
+        })
+
+        sendResponse({ success: true })
+      })
     })
     return true // Keep message channel open for async response
   }
@@ -176,8 +277,69 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * Handle storage changes
  */
 chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Settings changed on another device; applying them to local storage
+  // triggers the local handlers below
+  if (areaName === "sync") {
+    handleSyncChanges(changes)
+    return
+  }
+
+  // Administrator changed the policy; settings it locks are rewritten and
+  // tabs reprocess in case the site lists changed
+  if (areaName === "managed") {
+    console.log("Managed policy updated:", Object.keys(changes))
+    applyManagedPolicy()
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        setTimeout(() => {
+          chrome.tabs.sendMessage(tab.id, { action: "reprocess" }).catch(() => {
+            // Ignore errors
+          })
+        }, 100)
+      })
+    })
+    return
+  }
+
+  // Keep locked settings and the wage range in force when they're edited
+  // (or a profile with other values is loaded)
+  if (
+    areaName === "local" &&
+    (changes[STORAGE_KEY] ||
+      changes[TIER_SETTINGS_KEY] ||
+      changes[DISPLAY_MODE_KEY])
+  ) {
+    applyManagedPolicy()
+  }
+
+  if (areaName === "local" && changes[SYNC_ENABLED_KEY]) {
+    if (changes[SYNC_ENABLED_KEY].newValue === true) {
+      console.log("Settings sync enabled")
+      mergeWithSync()
+    }
+  } else if (
+    areaName === "local" &&
+    (changes[PROFILES_KEY] || SYNC_GLOBAL_KEYS.some((key) => changes[key]))
+  ) {
+    recordLocalSyncEdits(changes)
+    schedulePushToSync()
+  }
+
   if (areaName === "local" && changes[STORAGE_KEY]) {
     console.log("Hourly wage updated:", changes[STORAGE_KEY].newValue)
+  }
+
+  // Take-home and true wages depend on tax profile, hours worked per year,
+  // commute and work costs; tabs reprocess once the new breakdown is stored
+  if (
+    areaName === "local" &&
+    WAGE_BREAKDOWN_SOURCE_KEYS.some((key) => changes[key])
+  ) {
+    refreshWageBreakdown()
+  }
+
+  if (areaName === "local" && changes[WAGE_BREAKDOWN_KEY]) {
+    console.log("Wage breakdown updated")
 
     // Notify all tabs to reprocess with a small delay to ensure storage is ready
     chrome.tabs.query({}, (tabs) => {
@@ -195,7 +357,7 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     console.log("Display mode updated:", changes.displayMode.newValue)
 
     // Notify all tabs to update display mode
-    const newMode = changes.displayMode.newValue || "side-by-side"
+    const newMode = changes.displayMode.newValue || DEFAULT_DISPLAY_MODE
     chrome.tabs.query({}, (tabs) => {
       tabs.forEach((tab) => {
         chrome.tabs
@@ -223,8 +385,52 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     })
   }
 
-  if (areaName === "local" && changes.tierSettings) {
-    console.log("Tier settings updated:", changes.tierSettings.newValue)
+  if (areaName === "local" && changes[EXCHANGE_RATES_KEY]) {
+    console.log("Exchange rates updated")
+
+    // Foreign prices are converted with the new rates
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        setTimeout(() => {
+          chrome.tabs.sendMessage(tab.id, { action: "reprocess" }).catch(() => {
+            // Ignore errors
+          })
+        }, 100)
+      })
+    })
+  }
+
+  if (areaName === "local" && changes[ACTIVE_PROFILE_KEY]) {
+    console.log(
+      "Active wage profile changed:",
+      changes[ACTIVE_PROFILE_KEY].newValue
+    )
+
+    // Notify all tabs to reprocess with the new profile's settings
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        setTimeout(() => {
+          chrome.tabs.sendMessage(tab.id, { action: "reprocess" }).catch(() => {
+            // Ignore errors
+          })
+        }, 100)
+      })
+    })
+  } else if (
+    areaName === "local" &&
+    PROFILE_SETTING_KEYS.some((key) => changes[key])
+  ) {
+    // Keep the active profile in step with edits made to its settings
+    saveLiveSettingsToActiveProfile()
+  }
+
+  if (
+    areaName === "local" &&
+    (changes.tierSettings ||
+      changes[RANGE_TIER_END_KEY] ||
+      changes[RECURRING_DISPLAY_KEY])
+  ) {
+    console.log("Tier or badge settings updated")
 
     // Notify all tabs to reprocess with new tier settings
     chrome.tabs.query({}, (tabs) => {
@@ -237,4 +443,22 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       })
     })
   }
+
+  if (
+    areaName === "local" &&
+    (changes[SITE_RULES_KEY] || changes[DETECTION_SENSITIVITY_KEY])
+  ) {
+    console.log("Detection settings updated")
+
+    // Picked rules and the sensitivity change which elements are detected
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        setTimeout(() => {
+          chrome.tabs.sendMessage(tab.id, { action: "reprocess" }).catch(() => {
+            // Ignore errors
+          })
+        }, 100)
+      })
+    })
+  }
 })
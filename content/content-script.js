@@ -8,19 +8,56 @@ let conversions = []
 let isActive = false
 let injectedBadges = new Map() // Track injected badge elements
 let replacedPrices = new Map() // Track replaced price elements (for replace mode)
-let stylesInjected = false
-let displayMode = "side-by-side" // Default display mode
-let showHours = true // Default to showing hours
+let styledRoots = new WeakSet() // Documents and shadow roots with badge styles
+let observedRoots = new WeakSet() // Roots the mutation observer watches
+let watchedFrames = new WeakSet() // Frames scanned again when they load
+let mutationObserver = null
+let pendingSubtrees = new Set() // Added content waiting to be scanned
+let pendingScanTimeout = null
+let scanQueue = Promise.resolve() // Scans run one at a time, in order
+let scanGeneration = 0 // Bumped by each full pass to cancel older scans
+let scanMetrics = [] // Timings of recent scans, oldest first
+let priceChangeObserver = null // Watches tracked prices for in-place edits
+let changedPriceElements = new Set() // Edited prices waiting to be read
+let priceChangeTimeout = null
+let pruneTimeout = null
+let currentRoute = getRouteKey() // Page address the tracked prices belong to
+let routeChangeTimeout = null
+let displayMode = DEFAULT_DISPLAY_MODE // Default display mode
+let showHours = DEFAULT_SHOW_HOURS // Default to showing hours
 let tierSettings = null // Tier settings for color coding
+let rangeTierEnd = DEFAULT_RANGE_TIER_END // Which end of a range sets its tier
+let recurringDisplay = DEFAULT_RECURRING_DISPLAY // Figures shown for subscriptions
+let wageBreakdown = null // How the conversion wage was derived (gross/net)
+let exchangeRatesDate = "" // When the rates used for conversion were set
+
+// Number of scans whose timings are kept for debugging
+const SCAN_METRICS_LIMIT = 20
+
+// What an in-place price edit looks like: new text, or a class or style
+// that strikes the price through
+const PRICE_CHANGE_OPTIONS = {
+  childList: true,
+  characterData: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ["class", "style", "data-a-strike"],
+}
 
 /**
  * Inject CSS styles for price badges
+ * Styles don't cross shadow root or frame boundaries, so each root a badge
+ * goes into gets its own copy.
+ * @param {Document|ShadowRoot} root - Document or shadow root to style
  */
-function injectStyles() {
-  if (stylesInjected) return
+function injectStyles(root = document) {
+  if (styledRoots.has(root)) return
 
   const styleId = "price-hours-converter-styles"
-  if (document.getElementById(styleId)) return
+  if (root.getElementById(styleId)) {
+    styledRoots.add(root)
+    return
+  }
 
   const style = document.createElement("style")
   style.id = styleId
@@ -45,59 +82,9 @@ function injectStyles() {
     
     /* No additional styles needed - we preserve original element structure */
   `
-  document.head.appendChild(style)
-  stylesInjected = true
-}
-
-/**
- * Get display mode from storage
- */
-async function getDisplayMode() {
-  try {
-    const result = await chrome.storage.local.get("displayMode")
-    return result.displayMode || "side-by-side"
-  } catch (error) {
-    console.error("Error getting display mode:", error)
-    return "side-by-side"
-  }
-}
-
-/**
- * Get show hours toggle state from storage
- */
-async function getShowHours() {
-  try {
-    const result = await chrome.storage.local.get("showHours")
-    return result.showHours !== false // Default to true if not set
-  } catch (error) {
-    console.error("Error getting show hours state:", error)
-    return true
-  }
-}
-
-/**
- * Get tier settings from storage
- */
-async function getTierSettings() {
-  try {
-    const result = await chrome.storage.local.get("tierSettings")
-    return (
-      result.tierSettings || {
-        type: "money",
-        green: 0,
-        yellow: 50,
-        red: 100,
-      }
-    )
-  } catch (error) {
-    console.error("Error getting tier settings:", error)
-    return {
-      type: "money",
-      green: 0,
-      yellow: 50,
-      red: 100,
-    }
-  }
+  const container = root.head || root // Shadow roots have no head
+  container.appendChild(style)
+  styledRoots.add(root)
 }
 
 /**
@@ -153,22 +140,213 @@ function getTierBackgroundColor(tier) {
   }
 }
 
+/**
+ * Get the price and hours a badge's tier color is based on
+ * Ranges use the end chosen in the popup; "from" prices have no upper end,
+ * so they always use the starting price. Recurring prices are judged by
+ * what they cost over a year.
+ * @param {Object} conversion - Conversion result for the price
+ * @returns {{price: number, hours: number}} Price (in the wage currency) and hours
+ */
+function getTierBasis(conversion) {
+  if (!conversion) {
+    return { price: undefined, hours: undefined }
+  }
+
+  const useHighEnd = rangeTierEnd === "high" && conversion.maxHours != null
+  const price = useHighEnd ? conversion.maxPrice : conversion.price
+  const hours = useHighEnd ? conversion.maxHours : conversion.hours
+  const perYear = conversion.period ? PERIODS_PER_YEAR[conversion.period] : 1
+  return { price: price * perYear, hours: hours * perYear }
+}
+
+/**
+ * Describe how often a recurring price is billed, for badge tooltips
+ * @param {Object} priceObj - Detected price object
+ * @returns {string} e.g. "Billed every month; the color reflects a year of
+ *   payments", or "" for one-off prices
+ */
+function describeBillingPeriod(priceObj) {
+  if (!priceObj || !priceObj.period) {
+    return ""
+  }
+  return `Billed every ${priceObj.period}; the color reflects a year of payments`
+}
+
+/**
+ * Describe a unit price or multi-buy deal, for badge tooltips
+ * @param {Object} priceObj - Detected price object
+ * @returns {string} e.g. "2 for $5.00 ($2.50 each)", "Priced per lb", or ""
+ *   for prices without a deal
+ */
+function describeDeal(priceObj) {
+  const deal = priceObj && priceObj.deal
+  if (!deal) {
+    return ""
+  }
+
+  const money = (amount) => formatMoney(amount, priceObj.currency)
+  if (deal.type === "unit") {
+    return deal.unit === "item" ? "Priced per item" : `Priced per ${deal.unit}`
+  }
+  if (deal.type === "multi-buy") {
+    return `${deal.quantity} for ${money(priceObj.price)} (${money(deal.itemPrice)} each)`
+  }
+  const percent = Math.round(deal.discountPercent * 10) / 10
+  return `Buy ${deal.quantity}+ and save ${percent}% (${money(deal.itemPrice)} each)`
+}
+
+/**
+ * Describe the list price a sale price replaces, for badge tooltips
+ * @param {Object} priceObj - Detected price object
+ * @returns {string} e.g. "Was $20.00, you save $5.00", or "" for prices that
+ *   aren't on sale
+ */
+function describeSavings(priceObj) {
+  if (!priceObj || priceObj.listPrice === undefined) {
+    return ""
+  }
+  const money = (amount) => formatMoney(amount, priceObj.currency)
+  const saved = money(priceObj.listPrice - priceObj.price)
+  return `Was ${money(priceObj.listPrice)}, you save ${saved}`
+}
+
+/**
+ * Describe a product's published availability, for badge tooltips
+ * @param {Object} priceObj - Detected price object
+ * @returns {string} e.g. "Listed as out of stock", or "" for items in stock
+ *   or without structured data
+ */
+function describeAvailability(priceObj) {
+  const availability = priceObj && priceObj.availability
+  if (!availability || availability === "InStock") {
+    return ""
+  }
+  // "OutOfStock" -> "out of stock"
+  const words = availability.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase()
+  return `Listed as ${words}`
+}
+
+/**
+ * Describe the wage used for conversions, for badge tooltips
+ * @returns {string} e.g. "your take-home wage ($21.40/h after United States taxes)"
+ */
+function describeWage() {
+  if (!wageBreakdown) {
+    return "your hourly wage"
+  }
+  const { currency } = wageBreakdown
+  if (wageBreakdown.trueWage) {
+    const real = formatMoney(wageBreakdown.trueWage.hourlyWage, currency)
+    return `your true hourly wage (${real}/h)`
+  }
+  if (wageBreakdown.wageBasis !== "net") {
+    return "your hourly wage"
+  }
+  const net = formatMoney(wageBreakdown.netHourlyWage, currency)
+  return `your take-home wage (${net}/h after ${wageBreakdown.taxProfile.name} taxes)`
+}
+
+/**
+ * Explain how the true hourly wage was calculated, for badge tooltips
+ * @returns {string} Multi-line explanation, or "" when true wage mode is off
+ */
+function explainTrueWage() {
+  const trueWage = wageBreakdown && wageBreakdown.trueWage
+  if (!trueWage) {
+    return ""
+  }
+
+  const round = (value) => Math.round(value).toLocaleString()
+  const money = (value) => formatMoney(value, wageBreakdown.currency, 0)
+  const basis = wageBreakdown.wageBasis === "net" ? "take-home" : "gross"
+  const totalHours =
+    trueWage.paidHours + trueWage.overtimeHours + trueWage.commuteHours
+
+  return [
+    `${formatMoney(wageBreakdown.netHourlyWage, wageBreakdown.currency)}/h ${basis} × ${round(trueWage.paidHours)} paid hours = ${money(trueWage.annualPay)}/yr`,
+    `− ${money(trueWage.annualCosts)}/yr work-related costs`,
+    `÷ ${round(totalHours)} hours on the job (${round(trueWage.paidHours)} paid + ${round(trueWage.overtimeHours)} unpaid overtime + ${round(trueWage.commuteHours)} commuting)`,
+  ].join("\n")
+}
+
+/**
+ * Describe a currency conversion, for badge tooltips
+ * @param {Object} priceObj - Detected price object
+ * @returns {string} e.g. "€100.00 ≈ $113.64 (rates as of 2025-06-01)", or ""
+ *   when the price is already in the wage currency
+ */
+function describeCurrencyConversion(priceObj) {
+  const wageCurrency = wageBreakdown && wageBreakdown.currency
+  if (!priceObj || !wageCurrency || priceObj.currency === wageCurrency) {
+    return ""
+  }
+
+  const formatAmount = (min, max, currency) =>
+    max
+      ? `${formatMoney(min, currency)}–${formatMoney(max, currency)}`
+      : formatMoney(min, currency)
+  const original = formatAmount(priceObj.price, priceObj.max, priceObj.currency)
+  const converted = formatAmount(
+    priceObj.wagePrice,
+    priceObj.wageMaxPrice,
+    wageCurrency
+  )
+  return `${original} ≈ ${converted} (rates as of ${exchangeRatesDate})`
+}
+
 /**
  * Create a badge element for displaying hours (side-by-side mode)
  * Copies font styles from the price element to match appearance
  * @param {string} hoursFormatted - Formatted hours string
  * @param {HTMLElement} priceElement - The price element
- * @param {number} price - The original price
- * @param {number} hours - The calculated hours
+ * @param {number} price - The price in the wage currency (for ranges, the
+ *   end that sets the tier)
+ * @param {number} hours - The calculated hours (likewise)
+ * @param {Object} priceObj - The detected price object
  */
-function createBadge(hoursFormatted, priceElement, price, hours) {
+function createBadge(hoursFormatted, priceElement, price, hours, priceObj) {
   const badge = document.createElement("span")
   badge.className = "price-hours-badge"
+  updateBadge(badge, hoursFormatted, priceElement, price, hours, priceObj)
+  return badge
+}
+
+/**
+ * Set a badge's hours, tooltip, tier color and font styles
+ * Used for new badges and to update a badge when its price changes.
+ * @param {HTMLElement} badge - The badge element
+ * @param {string} hoursFormatted - Formatted hours string
+ * @param {HTMLElement} priceElement - The price element
+ * @param {number} price - The price in the wage currency (for ranges, the
+ *   end that sets the tier)
+ * @param {number} hours - The calculated hours (likewise)
+ * @param {Object} priceObj - The detected price object
+ */
+function updateBadge(
+  badge,
+  hoursFormatted,
+  priceElement,
+  price,
+  hours,
+  priceObj
+) {
   badge.textContent = hoursFormatted
   badge.setAttribute("aria-label", `Requires ${hoursFormatted} of work`)
+  const details = [
+    describeBillingPeriod(priceObj),
+    describeDeal(priceObj),
+    describeSavings(priceObj),
+    describeAvailability(priceObj),
+    describeCurrencyConversion(priceObj),
+    explainTrueWage(),
+  ]
   badge.setAttribute(
     "title",
-    `This item costs ${hoursFormatted} of work at your hourly wage`
+    [
+      `This item costs ${hoursFormatted} of work at ${describeWage()}`,
+      ...details.filter(Boolean),
+    ].join("\n")
   )
 
   // Determine tier color based on tier settings
@@ -191,8 +369,6 @@ function createBadge(hoursFormatted, priceElement, price, hours) {
     badge.style.letterSpacing = computedStyle.letterSpacing
     badge.style.color = computedStyle.color // Match text color
   }
-
-  return badge
 }
 
 /**
@@ -221,18 +397,28 @@ function storeOriginalPrice(element) {
  * Applies same styling as side-by-side mode: tier-based background, matching font styles
  * @param {HTMLElement} element - The price element to replace
  * @param {string} hoursFormatted - Formatted hours string
- * @param {number} price - The original price
- * @param {number} hours - The calculated hours
+ * @param {number} price - The price in the wage currency (for ranges, the
+ *   end that sets the tier)
+ * @param {number} hours - The calculated hours (likewise)
+ * @param {Object} priceObj - The detected price object
  */
-function replacePriceWithHours(element, hoursFormatted, price, hours) {
+function replacePriceWithHours(
+  element,
+  hoursFormatted,
+  price,
+  hours,
+  priceObj
+) {
   // Store original if not already stored
   storeOriginalPrice(element)
 
   // Get original data
   const original = replacedPrices.get(element)
 
-  // Replace the text content
+  // Replace the text content, keeping the text node so a later edit by the
+  // page can be told apart from the hours (see refreshTrackedPrice)
   element.textContent = hoursFormatted
+  original.hoursNode = element.firstChild
 
   // Determine tier color based on tier settings
   let tierColor = "yellow" // Default
@@ -254,23 +440,40 @@ function replacePriceWithHours(element, hoursFormatted, price, hours) {
 
   // Add data attribute for tracking
   element.setAttribute("data-price-replaced", "true")
+  const details = [
+    describeBillingPeriod(priceObj),
+    describeDeal(priceObj),
+    describeSavings(priceObj),
+    describeAvailability(priceObj),
+    describeCurrencyConversion(priceObj),
+  ]
   element.setAttribute(
     "title",
-    `Original price: ${original.textContent} | Work hours: ${hoursFormatted}`
+    [
+      `Original price: ${original.textContent}`,
+      `Work hours: ${hoursFormatted}`,
+      ...details.filter(Boolean),
+    ].join(" | ")
   )
+  discardOwnPriceChanges(element)
 }
 
 /**
  * Restore original price (for replace mode)
  * Restores text content and removes styling applied by replace mode
+ * @param {HTMLElement} element - The replaced price element
+ * @param {boolean} restoreContent - Whether to put the original price back
+ *   (false when the page has already written new content over the hours)
  */
-function restoreOriginalPrice(element) {
+function restoreOriginalPrice(element, restoreContent = true) {
   const original = replacedPrices.get(element)
   if (!original) return
 
   // Restore text content
-  element.textContent = original.textContent
-  element.innerHTML = original.innerHTML
+  if (restoreContent) {
+    element.textContent = original.textContent
+    element.innerHTML = original.innerHTML
+  }
 
   // Restore original styles
   element.style.backgroundColor = original.backgroundColor
@@ -280,163 +483,66 @@ function restoreOriginalPrice(element) {
 
   element.removeAttribute("data-price-replaced")
   element.removeAttribute("title")
+  discardOwnPriceChanges(element)
 }
 
 /**
- * Check if a badge already exists for this element
- * @param {HTMLElement} element - The price element
+ * Find the badge already shown for a price element
+ * Matches the badge injected for this element, or one an earlier run left
+ * directly after it. Badges of other prices in the same container are
+ * never matched, so a new price next to a badged one still gets its own.
+ * @param {HTMLElement} element - The price element (or its badge anchor)
  * @returns {HTMLElement|null} Existing badge element or null
  */
 function findExistingBadge(element) {
-  // Check if we already have a badge tracked for this element
-  if (injectedBadges.has(element)) {
-    const existingBadge = injectedBadges.get(element)
-    if (existingBadge && document.body.contains(existingBadge)) {
-      return existingBadge
-    }
+  const trackedBadge = injectedBadges.get(element)
+  if (trackedBadge && trackedBadge.isConnected) {
+    return trackedBadge
   }
 
-  // Check if a badge already exists as a sibling
-  const parent = element.parentNode
-  if (parent) {
-    // Check next sibling
-    let sibling = element.nextSibling
-    while (sibling) {
-      if (
-        sibling.nodeType === Node.ELEMENT_NODE &&
-        sibling.classList.contains("price-hours-badge")
-      ) {
-        return sibling
-      }
-      sibling = sibling.nextSibling
-    }
-
-    // Check if badge exists in price container
-    const priceContainer = element.closest(
-      '[class*="price"], [class*="Price"], [id*="price"], .a-price'
-    )
-    if (priceContainer && priceContainer !== element) {
-      const existingBadge = priceContainer.querySelector(".price-hours-badge")
-      if (existingBadge) {
-        return existingBadge
-      }
-    }
-  }
-
-  return null
+  // Badges are always inserted right after their element
+  const next = element.nextElementSibling
+  return next && next.classList.contains("price-hours-badge") ? next : null
 }
 
 /**
- * Inject badges next to price elements (side-by-side mode)
+ * Inject a badge next to a price element (side-by-side mode)
  * IMPORTANT: Does not modify DOM structure - only inserts badge as sibling
+ * @param {Object} priceObj - Tracked price
+ * @param {number} index - Index of the price in detectedPrices
  */
-function injectBadgesSideBySide() {
-  detectedPrices.forEach((priceObj, index) => {
-    const element = priceObj.element
-    const hoursFormatted = conversions[index]?.formatted
-
-    if (!hoursFormatted || !element || !element.parentNode) {
-      return
-    }
-
-    // Check if element is still in DOM
-    if (!document.body.contains(element)) {
-      return
-    }
-
-    // Check if badge already exists - skip if it does
-    const existingBadge = findExistingBadge(element)
-    if (existingBadge) {
-      // Update existing badge if hours changed, otherwise skip
-      const currentHours = element.getAttribute("data-hours-formatted")
-      if (currentHours === hoursFormatted) {
-        return // Same hours, no need to update
-      }
-      // Hours changed, update the badge text and styles
-      existingBadge.textContent = hoursFormatted
-
-      // Update tier color based on tier settings
-      const price = priceObj.price
-      const hours = conversions[index]?.hours
-      let tierColor = "yellow" // Default
-      if (tierSettings) {
-        const valueToCheck = tierSettings.type === "hours" ? hours : price
-        tierColor = getTierColor(valueToCheck, tierSettings)
-      }
-      const backgroundColor = getTierBackgroundColor(tierColor)
-      existingBadge.style.backgroundColor = backgroundColor
-
-      // Update font styles to match price element
-      const computedStyle = window.getComputedStyle(element)
-      existingBadge.style.fontSize = computedStyle.fontSize
-      existingBadge.style.fontWeight = computedStyle.fontWeight
-      existingBadge.style.fontFamily = computedStyle.fontFamily
-      existingBadge.style.fontStyle = computedStyle.fontStyle
-      existingBadge.style.lineHeight = computedStyle.lineHeight
-      existingBadge.style.letterSpacing = computedStyle.letterSpacing
-      existingBadge.style.color = computedStyle.color
-      element.setAttribute("data-hours-formatted", hoursFormatted)
-      return
-    }
-
-    try {
-      // Skip if element is offscreen or hidden
-      const className = (element.className || "").toLowerCase()
-      if (
-        className.includes("offscreen") ||
-        className.includes("sr-only") ||
-        className.includes("visually-hidden") ||
-        element.getAttribute("aria-hidden") === "true"
-      ) {
-        return
-      }
-
-      // Skip priceToPay elements - these are containers, not the actual price
-      if (className.includes("pricetopay")) {
-        return
-      }
-
-      // Create badge with font styles matching the price element
-      const price = priceObj.price
-      const hours = conversions[index]?.hours
-      const badge = createBadge(hoursFormatted, element, price, hours)
+function injectSideBySideBadge(priceObj, index) {
+  const element = priceObj.element
+  // The site's adapter may place the badge after a wrapper of the price
+  const anchor = priceObj.badgeAnchor || element
+  const hoursFormatted = conversions[index]?.formatted
 
-      const parent = element.parentNode
-
-      // Always insert badge as sibling immediately after the price element
-      // This ensures it appears to the right of the price
-      // Don't append to containers - place it directly after the element
-      if (element.nextSibling) {
-        parent.insertBefore(badge, element.nextSibling)
-      } else {
-        parent.appendChild(badge)
-      }
-
-      // Store reference
-      injectedBadges.set(element, badge)
-    } catch (error) {
-      console.error("Error injecting badge:", error)
-    }
-  })
-}
-
-/**
- * Replace prices with hours (replace mode)
- */
-function injectBadgesReplace() {
-  detectedPrices.forEach((priceObj, index) => {
-    const element = priceObj.element
-    const hoursFormatted = conversions[index]?.formatted
+  if (!hoursFormatted || !element || !anchor.parentNode) {
+    return
+  }
 
-    if (!hoursFormatted || !element || !document.body.contains(element)) {
-      return
-    }
+  // Check if element is still in DOM
+  if (!element.isConnected) {
+    return
+  }
 
-    // Skip if already replaced
-    if (element.getAttribute("data-price-replaced") === "true") {
-      return
+  // Check if badge already exists - skip if it does
+  const existingBadge = findExistingBadge(anchor)
+  if (existingBadge) {
+    injectedBadges.set(anchor, existingBadge)
+    // Update existing badge if hours changed, otherwise skip
+    const currentHours = element.getAttribute("data-hours-formatted")
+    if (currentHours === hoursFormatted) {
+      return // Same hours, no need to update
     }
+    // Hours changed, update the badge text, tier color and styles
+    const { price, hours } = getTierBasis(conversions[index])
+    updateBadge(existingBadge, hoursFormatted, element, price, hours, priceObj)
+    element.setAttribute("data-hours-formatted", hoursFormatted)
+    return
+  }
 
+  try {
     // Skip if element is offscreen or hidden
     const className = (element.className || "").toLowerCase()
     if (
@@ -453,27 +559,111 @@ function injectBadgesReplace() {
       return
     }
 
-    try {
-      const price = priceObj.price
-      const hours = conversions[index]?.hours
-      replacePriceWithHours(element, hoursFormatted, price, hours)
-    } catch (error) {
-      console.error("Error replacing price:", error)
+    // Create badge with font styles matching the price element
+    const { price, hours } = getTierBasis(conversions[index])
+    const badge = createBadge(hoursFormatted, element, price, hours, priceObj)
+
+    const parent = anchor.parentNode
+    injectStyles(anchor.getRootNode())
+
+    // Always insert badge as sibling immediately after the price element
+    // This ensures it appears to the right of the price
+    // Don't append to containers - place it directly after the element
+    if (anchor.nextSibling) {
+      parent.insertBefore(badge, anchor.nextSibling)
+    } else {
+      parent.appendChild(badge)
     }
-  })
+
+    // Store reference
+    injectedBadges.set(anchor, badge)
+  } catch (error) {
+    console.error("Error injecting badge:", error)
+  }
+}
+
+/**
+ * Replace a price with hours (replace mode)
+ * @param {Object} priceObj - Tracked price
+ * @param {number} index - Index of the price in detectedPrices
+ */
+function injectReplacedPrice(priceObj, index) {
+  const element = priceObj.element
+  const hoursFormatted = conversions[index]?.formatted
+
+  if (!hoursFormatted || !element || !element.isConnected) {
+    return
+  }
+
+  // Skip if already replaced
+  if (element.getAttribute("data-price-replaced") === "true") {
+    return
+  }
+
+  // Skip if element is offscreen or hidden
+  const className = (element.className || "").toLowerCase()
+  if (
+    className.includes("offscreen") ||
+    className.includes("sr-only") ||
+    className.includes("visually-hidden") ||
+    element.getAttribute("aria-hidden") === "true"
+  ) {
+    return
+  }
+
+  // Skip priceToPay elements - these are containers, not the actual price
+  if (className.includes("pricetopay")) {
+    return
+  }
+
+  try {
+    const { price, hours } = getTierBasis(conversions[index])
+    replacePriceWithHours(element, hoursFormatted, price, hours, priceObj)
+  } catch (error) {
+    console.error("Error replacing price:", error)
+  }
+}
+
+/**
+ * Badge tracked prices in the current display mode, in time-sliced chunks
+ * Prices in or near the viewport are badged first, so the ones the user
+ * sees don't wait for the rest of a long page.
+ * @param {number} fromIndex - First tracked price to badge (earlier ones
+ *   are left as they are)
+ * @param {Object} slicer - Slicer of the scan (see createScanSlicer)
+ * @returns {Promise<boolean>} False if the scan was cancelled first
+ */
+async function injectBadgesByViewport(fromIndex, slicer) {
+  const injectBadge =
+    displayMode === "replace" ? injectReplacedPrice : injectSideBySideBadge
+  const indexes = new Map(
+    detectedPrices
+      .slice(fromIndex)
+      .map((priceObj, offset) => [priceObj.element, fromIndex + offset])
+  )
+  const { near, far } = await partitionByViewport(Array.from(indexes.keys()))
+
+  for (const element of [...near, ...far]) {
+    if (!(await slicer.checkpoint())) return false
+    const index = indexes.get(element)
+    injectBadge(detectedPrices[index], index)
+  }
+  return true
 }
 
 /**
  * Inject badges based on current display mode
+ * @param {Object} slicer - Slicer of the scan the badges belong to
+ * @returns {Promise<boolean>} False if the scan was cancelled first
  */
-async function injectBadges() {
+async function injectBadges(slicer = createScanSlicer()) {
   // Check if hours should be shown
   showHours = await getShowHours()
 
   if (!showHours) {
     // Hide all badges if toggle is off
     removeBadges()
-    return
+    return true
   }
 
   // Remove old badges first
@@ -482,11 +672,22 @@ async function injectBadges() {
   // Get current display mode
   displayMode = await getDisplayMode()
 
-  if (displayMode === "replace") {
-    injectBadgesReplace()
-  } else {
-    injectBadgesSideBySide()
+  return injectBadgesByViewport(0, slicer)
+}
+
+/**
+ * Badge prices appended since the last pass, leaving existing badges in
+ * place so the page doesn't flicker
+ * Uses the display mode and hours toggle from the last full pass.
+ * @param {number} fromIndex - Index of the first new price
+ * @param {Object} slicer - Slicer of the scan the prices came from
+ * @returns {Promise<boolean>} False if the scan was cancelled first
+ */
+async function injectNewBadges(fromIndex, slicer) {
+  if (!showHours) {
+    return true
   }
+  return injectBadgesByViewport(fromIndex, slicer)
 }
 
 /**
@@ -494,8 +695,12 @@ async function injectBadges() {
  */
 function removeBadges() {
   // Remove side-by-side badges - use querySelector to find all badges
-  // This ensures we catch any badges that might not be in our map
-  const allBadges = document.querySelectorAll(".price-hours-badge")
+  // This ensures we catch any badges that might not be in our map, in
+  // shadow roots and frames too
+  const allBadges = querySelectorAllInRoots(
+    getSearchRoots(),
+    ".price-hours-badge"
+  )
   allBadges.forEach((badge) => {
     try {
       if (badge && badge.parentNode) {
@@ -510,7 +715,7 @@ function removeBadges() {
   // Restore replaced prices
   replacedPrices.forEach((original, element) => {
     try {
-      if (document.body.contains(element)) {
+      if (element.isConnected) {
         restoreOriginalPrice(element)
       }
     } catch (error) {
@@ -534,8 +739,8 @@ async function init() {
   // Load tier settings
   tierSettings = await getTierSettings()
 
-  // Check if this is a shopping site
-  if (!isShoppingSite()) {
+  // Check if prices should be converted on this site
+  if (!(await isSiteEnabled())) {
     return
   }
 
@@ -553,89 +758,632 @@ async function init() {
   setupMutationObserver()
 }
 
+/**
+ * Check if prices should be converted on this site
+ * Managed policy site lists take precedence over shopping site detection.
+ * @returns {Promise<boolean>} True if the extension should run here
+ */
+async function isSiteEnabled() {
+  const policy = await getManagedPolicy()
+  const sitePolicy = getSitePolicy(window.location.href, policy)
+  if (sitePolicy !== null) {
+    return sitePolicy === "allow"
+  }
+  return isShoppingSite()
+}
+
 /**
  * Process the current page for prices
+ * Queued behind any scan already running; scans queued before it are
+ * cancelled, since this pass covers what they would find.
+ * @returns {Promise<void>} Resolves once the pass has finished
  */
 async function processPage() {
-  if (!isActive) return
+  const generation = ++scanGeneration
+  return queueScan(() => scanPage(generation))
+}
 
-  const wage = await getHourlyWage()
+/**
+ * Run a scan after the ones already queued
+ * @param {Function} scan - Async function running the scan
+ * @returns {Promise<void>} Resolves once the scan has finished
+ */
+function queueScan(scan) {
+  scanQueue = scanQueue
+    .then(scan)
+    .catch((error) => console.error("Error scanning for prices:", error))
+  return scanQueue
+}
+
+/**
+ * Check if a scan has been replaced by a newer full pass, or the extension
+ * was turned off on this page
+ * @param {number} generation - scanGeneration when the scan was queued
+ * @returns {boolean} True if the scan should stop
+ */
+function isScanCancelled(generation) {
+  return !isActive || generation !== scanGeneration
+}
+
+/**
+ * Detect, convert and badge every price on the page
+ * @param {number} generation - scanGeneration when the pass was queued
+ */
+async function scanPage(generation) {
+  if (isScanCancelled(generation)) return
+
+  // The policy may have blocked this site since the page was set up
+  if (!(await isSiteEnabled())) {
+    await setActive(false)
+    return
+  }
+
+  // Calculated by the service worker, which can read the tax tables
+  wageBreakdown = await getStoredWageBreakdown()
+  if (!wageBreakdown) return
+  const wage = wageBreakdown.hourlyWage
   if (wage <= 0) return
 
   // Reload tier settings in case they changed
   tierSettings = await getTierSettings()
+  rangeTierEnd = await getRangeTierEnd()
+  recurringDisplay = await getRecurringDisplay()
+
+  // Detect prices on the page (unlabelled prices are in the wage currency)
+  const rates = await getExchangeRates()
+  exchangeRatesDate = rates.updatedAt
+  const siteRules = await getSiteRulesForHost(window.location.hostname)
+  const sensitivity = await getDetectionSensitivity()
+  const slicer = createScanSlicer(() => isScanCancelled(generation))
+  const found = await detectPrices(
+    wageBreakdown.currency,
+    siteRules,
+    sensitivity,
+    null,
+    slicer
+  )
+  slicer.markPhase("detect")
+  if (found === null) {
+    recordScanMetrics("page", slicer, { cancelled: true })
+    return
+  }
 
-  // Detect prices on the page
-  detectedPrices = detectPrices()
+  // Shadow roots and frames may have appeared since the last pass
+  observeSearchRoots()
 
+  const converted = convertDetectedPrices(found, wage, rates)
+  detectedPrices = converted.prices
+  watchPriceChanges(detectedPrices, true)
   if (detectedPrices.length === 0) {
+    recordScanMetrics("page", slicer, { prices: 0 })
     return
   }
+  conversions = converted.conversions
 
   // Mark price elements with data attributes
   markPriceElements(detectedPrices)
 
+  // Inject UI badges (await to ensure it completes)
+  const completed = await injectBadges(slicer)
+  recordScanMetrics("page", slicer, {
+    prices: detectedPrices.length,
+    cancelled: !completed,
+  })
+
+  console.log(
+    `Detected ${detectedPrices.length} prices and converted to hours.`
+  )
+}
+
+/**
+ * Convert detected prices into the wage currency and into work time
+ * Prices in currencies missing from the rate table are dropped rather than
+ * converted 1:1.
+ * @param {Array<Object>} prices - Price objects from detectPrices
+ * @param {number} wage - Hourly wage
+ * @param {Object} rates - Exchange rate table
+ * @returns {{prices: Array<Object>, conversions: Array<Object>}} The
+ *   converted prices and their conversions, index for index
+ */
+function convertDetectedPrices(prices, wage, rates) {
+  const wageCurrency = wageBreakdown.currency
+  const convertible = prices.filter((priceObj) => {
+    const toWageCurrency = (amount) =>
+      convertCurrency(amount, priceObj.currency, wageCurrency, rates)
+    priceObj.wagePrice = toWageCurrency(priceObj.price)
+    if (priceObj.min !== undefined) {
+      priceObj.wageMaxPrice =
+        priceObj.max === null ? null : toWageCurrency(priceObj.max)
+    }
+    if (priceObj.deal) {
+      priceObj.wageItemPrice = toWageCurrency(priceObj.deal.itemPrice)
+    }
+    if (priceObj.listPrice !== undefined) {
+      priceObj.wageListPrice = toWageCurrency(priceObj.listPrice)
+    }
+    return priceObj.wagePrice !== null
+  })
+
   // Convert prices to hours
-  const prices = detectedPrices.map((p) => p.price)
-  conversions = convertPricesToHours(prices, wage)
+  const priceConversions = convertPricesToHours(
+    convertible.map((p) => p.wagePrice),
+    wage
+  )
+
+  // Ranges and "from" prices show hours for both ends ("1–2.5h"),
+  // recurring prices per billing period and per year ("0.5h/mo · 6h/yr"),
+  // unit prices and multi-buys per unit or item ("10 min/lb"), and sale
+  // prices the work they save over the list price ("2h · saves 1.5h")
+  convertible.forEach((priceObj, index) => {
+    if (priceObj.min !== undefined) {
+      priceConversions[index] = convertPriceRangeToHours(
+        priceObj.wagePrice,
+        priceObj.wageMaxPrice,
+        wage
+      )
+    }
+    if (priceObj.period) {
+      priceConversions[index] = annualizeConversion(
+        priceConversions[index],
+        priceObj.period,
+        recurringDisplay
+      )
+    }
+    if (priceObj.deal) {
+      priceConversions[index] = convertDealToHours(
+        priceConversions[index],
+        priceObj.deal,
+        priceObj.wageItemPrice,
+        wage
+      )
+    }
+    if (priceObj.wageListPrice !== undefined) {
+      priceConversions[index] = addSavingsToConversion(
+        priceConversions[index],
+        priceObj.wageListPrice - priceObj.wagePrice,
+        wage
+      )
+    }
+  })
 
   // Store conversion data with elements for future UI injection
-  detectedPrices.forEach((priceObj, index) => {
-    priceObj.element.setAttribute("data-hours-value", conversions[index].hours)
+  convertible.forEach((priceObj, index) => {
+    priceObj.element.setAttribute(
+      "data-hours-value",
+      priceConversions[index].hours
+    )
     priceObj.element.setAttribute(
       "data-hours-formatted",
-      conversions[index].formatted
+      priceConversions[index].formatted
     )
   })
 
-  // Inject UI badges (await to ensure it completes)
-  await injectBadges()
+  return { prices: convertible, conversions: priceConversions }
+}
+
+/**
+ * Detect prices in content added since the last pass and badge only those
+ * Prices already tracked keep their badges untouched; new ones are appended
+ * to detectedPrices and conversions. Uses the wage and settings loaded by
+ * the last full pass (processPage), which runs again whenever they change.
+ * @param {Array<HTMLElement>} subtrees - Added elements to scan
+ * @param {number} generation - scanGeneration when the scan was queued
+ */
+async function processAddedContent(subtrees, generation) {
+  if (
+    isScanCancelled(generation) ||
+    !wageBreakdown ||
+    wageBreakdown.hourlyWage <= 0
+  ) {
+    return
+  }
+
+  const rates = await getExchangeRates()
+  const siteRules = await getSiteRulesForHost(window.location.hostname)
+  const sensitivity = await getDetectionSensitivity()
+  const slicer = createScanSlicer(() => isScanCancelled(generation))
+  const found = await detectPrices(
+    wageBreakdown.currency,
+    siteRules,
+    sensitivity,
+    {
+      subtrees: subtrees.filter((subtree) => subtree.isConnected),
+      knownElements: new Set(detectedPrices.map((p) => p.element)),
+    },
+    slicer
+  )
+  slicer.markPhase("detect")
+  if (found === null) {
+    recordScanMetrics("added", slicer, { cancelled: true })
+    return
+  }
+
+  // Added content may bring its own shadow roots and frames
+  observeSearchRoots(subtrees.flatMap((subtree) => getSearchRoots(subtree)))
+
+  const converted = convertDetectedPrices(
+    found,
+    wageBreakdown.hourlyWage,
+    rates
+  )
+  if (converted.prices.length === 0) {
+    recordScanMetrics("added", slicer, { prices: 0 })
+    return
+  }
+
+  const startIndex = detectedPrices.length
+  detectedPrices = detectedPrices.concat(converted.prices)
+  conversions = conversions.concat(converted.conversions)
+  markPriceElements(converted.prices, startIndex)
+  watchPriceChanges(converted.prices)
+  const completed = await injectNewBadges(startIndex, slicer)
+  recordScanMetrics("added", slicer, {
+    prices: converted.prices.length,
+    cancelled: !completed,
+  })
 
   console.log(
-    `Detected ${detectedPrices.length} prices and converted to hours.`
+    `Detected ${converted.prices.length} new prices and converted to hours.`
   )
 }
 
+/**
+ * Queue added content to be scanned once a burst of changes has settled
+ * @param {HTMLElement} subtree - Added element
+ */
+function scheduleSubtreeScan(subtree) {
+  pendingSubtrees.add(subtree)
+  clearTimeout(pendingScanTimeout)
+  pendingScanTimeout = setTimeout(scanPendingSubtrees, 500)
+}
+
+/**
+ * Scan the queued content that is still on the page
+ * Subtrees inside other queued subtrees are scanned with them, and only
+ * those that may hold prices are scanned at all. Those in or near the
+ * viewport are scanned first, then the rest.
+ */
+async function scanPendingSubtrees() {
+  const queued = new Set(
+    Array.from(pendingSubtrees).filter((subtree) => subtree.isConnected)
+  )
+  pendingSubtrees.clear()
+
+  const outermost = Array.from(queued).filter((subtree) => {
+    for (let node = subtree.parentElement; node; node = node.parentElement) {
+      if (queued.has(node)) return false
+    }
+    return true
+  })
+
+  // Reading each subtree's text and descendants is as slow as the subtree
+  // is big, so it's sliced like a scan
+  const generation = scanGeneration
+  const slicer = createScanSlicer(() => isScanCancelled(generation))
+  const withPrices = []
+  for (const subtree of outermost) {
+    if (!(await slicer.checkpoint())) return
+    if (mayHoldPrices(subtree)) {
+      withPrices.push(subtree)
+    }
+  }
+  if (withPrices.length === 0) {
+    return
+  }
+
+  const { near, far } = await partitionByViewport(withPrices)
+  for (const group of [near, far]) {
+    if (group.length > 0) {
+      queueScan(() => processAddedContent(group, generation))
+    }
+  }
+}
+
+/**
+ * Keep the timings of a finished scan for debugging (see getScanMetrics)
+ * @param {string} kind - "page" for a full pass, "added" for added content
+ * @param {Object} slicer - Slicer the scan ran with
+ * @param {{prices?: number, cancelled?: boolean}} details - Prices badged,
+ *   and whether a newer scan cancelled this one
+ */
+function recordScanMetrics(kind, slicer, details) {
+  const entry = {
+    kind,
+    at: new Date().toISOString(),
+    prices: 0,
+    cancelled: false,
+    ...details,
+    ...slicer.finish(),
+  }
+  scanMetrics = [...scanMetrics, entry].slice(-SCAN_METRICS_LIMIT)
+}
+
+/**
+ * Get the timings of recent scans
+ * @returns {Array<Object>} Scan metrics, oldest first
+ */
+function getScanMetrics() {
+  return scanMetrics.map((entry) => ({ ...entry }))
+}
+
+/**
+ * Check if an added element might hold prices: price classes or
+ * attributes, price text, or frames and web components that do
+ * @param {HTMLElement} node - Added element
+ * @returns {boolean} True if the element is worth scanning
+ */
+function mayHoldPrices(node) {
+  return (
+    node.querySelector('[class*="price"]') !== null ||
+    node.querySelector("[data-price]") !== null ||
+    hasPriceText(node.textContent) ||
+    node.matches("iframe, frame") ||
+    node.querySelector("iframe, frame") !== null ||
+    hasShadowContent(node)
+  )
+}
+
+/**
+ * Check if an added element holds web components with their own shadow
+ * roots, whose prices its light DOM doesn't show
+ * @param {HTMLElement} node - Added element
+ * @returns {boolean} True if the element or a descendant is a shadow host
+ */
+function hasShadowContent(node) {
+  return (
+    node.shadowRoot !== null ||
+    Array.from(node.querySelectorAll("*")).some((element) => element.shadowRoot)
+  )
+}
+
+/**
+ * Watch shadow roots and same-origin frames the observer doesn't cover yet
+ * Frames are also scanned again whenever they load, since each load
+ * replaces their document.
+ * @param {Array<Document|ShadowRoot|HTMLElement>} roots - Roots to check
+ *   (defaults to the whole page's)
+ */
+function observeSearchRoots(roots = getSearchRoots()) {
+  if (!mutationObserver) return
+
+  roots.forEach((root) => {
+    // Added subtrees are already covered by the observer of their root
+    if (root.nodeType !== Node.ELEMENT_NODE && !observedRoots.has(root)) {
+      observedRoots.add(root)
+      mutationObserver.observe(root.body || root, {
+        childList: true,
+        subtree: true,
+      })
+    }
+    querySelectorAllInRoots([root], "iframe, frame").forEach((frame) => {
+      if (!watchedFrames.has(frame)) {
+        watchedFrames.add(frame)
+        frame.addEventListener("load", () => scheduleSubtreeScan(frame))
+      }
+    })
+  })
+}
+
 /**
  * Set up mutation observer to handle dynamically loaded content
+ * Observes the page and every open shadow root and same-origin frame in it.
+ * Only the added elements that may hold prices are scanned (see
+ * processAddedContent); prices already badged are left alone.
  */
 function setupMutationObserver() {
-  const observer = new MutationObserver((mutations) => {
-    let shouldReprocess = false
+  // Already set up by an earlier init (the site was turned back on)
+  if (mutationObserver) {
+    observeSearchRoots()
+    return
+  }
+
+  mutationObserver = new MutationObserver((mutations) => {
+    // Single-page apps rewrite the page when they change route; catches
+    // navigations the browser didn't report (see watchNavigation)
+    checkForRouteChange()
 
     mutations.forEach((mutation) => {
-      if (mutation.addedNodes.length > 0) {
-        // Check if any added nodes might contain prices
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if the node or its children might have price-related classes/attributes
-            const hasPriceIndicator =
-              node.querySelector &&
-              (node.querySelector('[class*="price"]') ||
-                node.querySelector("[data-price]") ||
-                node.textContent.match(/[\$€£¥]\s*\d/))
-
-            if (hasPriceIndicator) {
-              shouldReprocess = true
-            }
-          }
-        })
+      if (
+        Array.from(mutation.removedNodes).some(
+          (node) => node.nodeType === Node.ELEMENT_NODE
+        )
+      ) {
+        schedulePrune()
       }
+
+      // Only queued here; whether they may hold prices is checked once the
+      // burst of changes settles (see scanPendingSubtrees)
+      mutation.addedNodes.forEach((node) => {
+        if (
+          node.nodeType === Node.ELEMENT_NODE &&
+          !node.classList.contains("price-hours-badge")
+        ) {
+          scheduleSubtreeScan(node)
+        }
+      })
     })
+  })
 
-    if (shouldReprocess) {
-      // Debounce reprocessing
-      clearTimeout(window.priceConversionTimeout)
-      window.priceConversionTimeout = setTimeout(() => {
-        processPage()
-      }, 500)
+  observeSearchRoots()
+}
+
+/**
+ * Watch tracked price elements for the page editing them in place
+ * @param {Array<Object>} prices - Tracked prices to watch
+ * @param {boolean} replaceAll - Whether these replace every tracked price
+ *   (a full pass), so earlier ones stop being watched
+ */
+function watchPriceChanges(prices, replaceAll = false) {
+  if (!priceChangeObserver) {
+    priceChangeObserver = new MutationObserver(handlePriceChanges)
+  }
+  if (replaceAll) {
+    priceChangeObserver.disconnect()
+    changedPriceElements.clear()
+  }
+  prices.forEach((priceObj) =>
+    priceChangeObserver.observe(priceObj.element, PRICE_CHANGE_OPTIONS)
+  )
+}
+
+/**
+ * Drop the change records caused by the extension's own edits to a price
+ * element (replace mode writes the hours into it), keeping the page's
+ * @param {HTMLElement} element - Price element just edited
+ */
+function discardOwnPriceChanges(element) {
+  if (!priceChangeObserver) return
+
+  const records = priceChangeObserver
+    .takeRecords()
+    .filter((record) => !element.contains(record.target))
+  if (records.length > 0) {
+    handlePriceChanges(records)
+  }
+}
+
+/**
+ * Queue the tracked prices the page edited, to be read again once a burst
+ * of edits (a framework re-render) has settled
+ * @param {Array<MutationRecord>} records - Changes to tracked prices
+ */
+function handlePriceChanges(records) {
+  records.forEach((record) => {
+    const target =
+      record.target.nodeType === Node.ELEMENT_NODE
+        ? record.target
+        : record.target.parentElement
+    const element = target && target.closest("[data-price-detected]")
+    if (element) {
+      changedPriceElements.add(element)
     }
   })
+  if (changedPriceElements.size === 0) return
+
+  clearTimeout(priceChangeTimeout)
+  priceChangeTimeout = setTimeout(() => {
+    const elements = Array.from(changedPriceElements)
+    changedPriceElements.clear()
+    const generation = scanGeneration
+    queueScan(() => refreshChangedPrices(elements, generation))
+  }, 100)
+}
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
+/**
+ * Read edited prices again and update their badges in place
+ * Uses the wage and settings of the last full pass, like added content.
+ * @param {Array<HTMLElement>} elements - Edited price elements
+ * @param {number} generation - scanGeneration when the update was queued
+ */
+async function refreshChangedPrices(elements, generation) {
+  if (isScanCancelled(generation) || !wageBreakdown) return
+
+  const rates = await getExchangeRates()
+  const siteRules = await getSiteRulesForHost(window.location.hostname)
+  if (isScanCancelled(generation)) return
+
+  let updated = 0
+  elements.forEach((element) => {
+    const index = detectedPrices.findIndex((p) => p.element === element)
+    if (index !== -1 && element.isConnected) {
+      updated += refreshTrackedPrice(index, siteRules, rates) ? 1 : 0
+    }
   })
+  if (updated > 0) {
+    console.log(`Updated ${updated} changed prices.`)
+  }
+}
+
+/**
+ * Read one tracked price again and update its badge, tier color and data
+ * attributes, or remove the badge if it no longer shows a price
+ * @param {number} index - Index of the price in detectedPrices
+ * @param {{include: Array<string>, exclude: Array<string>}} siteRules -
+ *   Selectors the user picked for this site
+ * @param {Object} rates - Exchange rate table
+ * @returns {boolean} True if the price was read again
+ */
+function refreshTrackedPrice(index, siteRules, rates) {
+  const priceObj = detectedPrices[index]
+  const element = priceObj.element
+  const original = replacedPrices.get(element)
+
+  // In replace mode only content the page wrote over the hours can be
+  // read. While the hours are still there, the page has only edited around
+  // them (a class, a "/ea" suffix) and the stored original is the price.
+  if (
+    original &&
+    original.hoursNode &&
+    element.contains(original.hoursNode) &&
+    original.hoursNode.data === conversions[index]?.formatted
+  ) {
+    return false
+  }
+
+  const updated = rereadPrice(priceObj, wageBreakdown.currency, siteRules)
+  const converted = updated
+    ? convertDetectedPrices([updated], wageBreakdown.hourlyWage, rates)
+    : { prices: [], conversions: [] }
+  if (converted.prices.length === 0) {
+    clearPriceBadge(priceObj)
+    conversions[index] = null
+    return true
+  }
+
+  detectedPrices[index] = updated
+  conversions[index] = converted.conversions[0]
+  markPriceElements([updated], index)
+  if (!showHours) {
+    return true
+  }
+
+  if (original) {
+    // The page wrote over the hours; its new content is what to restore
+    original.textContent = element.textContent
+    original.innerHTML = element.innerHTML
+    element.removeAttribute("data-price-replaced")
+    injectReplacedPrice(updated, index)
+    return true
+  }
+
+  const badge = findExistingBadge(updated.badgeAnchor || element)
+  if (badge && badge.isConnected) {
+    const { price, hours } = getTierBasis(conversions[index])
+    updateBadge(
+      badge,
+      conversions[index].formatted,
+      element,
+      price,
+      hours,
+      updated
+    )
+  } else if (displayMode === "replace") {
+    injectReplacedPrice(updated, index)
+  } else {
+    injectSideBySideBadge(updated, index)
+  }
+  return true
+}
+
+/**
+ * Remove the badge of a tracked price that no longer shows a price,
+ * leaving the page's content as it is
+ * @param {Object} priceObj - Tracked price
+ */
+function clearPriceBadge(priceObj) {
+  const anchor = priceObj.badgeAnchor || priceObj.element
+  const badge = injectedBadges.get(anchor)
+  if (badge) {
+    badge.remove()
+    injectedBadges.delete(anchor)
+  }
+
+  if (replacedPrices.has(priceObj.element)) {
+    restoreOriginalPrice(priceObj.element, false)
+    replacedPrices.delete(priceObj.element)
+  }
+  priceObj.element.removeAttribute("data-hours-value")
+  priceObj.element.removeAttribute("data-hours-formatted")
 }
 
 /**
@@ -658,20 +1406,148 @@ async function setActive(active) {
   if (active) {
     await processPage()
   } else {
-    // Remove badges
-    removeBadges()
+    resetPageState()
+  }
+}
 
-    // Clear data attributes when deactivated
-    detectedPrices.forEach((priceObj) => {
-      priceObj.element.removeAttribute("data-price-detected")
-      priceObj.element.removeAttribute("data-price-value")
-      priceObj.element.removeAttribute("data-price-index")
-      priceObj.element.removeAttribute("data-hours-value")
-      priceObj.element.removeAttribute("data-hours-formatted")
-    })
-    detectedPrices = []
-    conversions = []
+/**
+ * Forget every tracked price: remove badges, restore replaced prices and
+ * clear the data attributes, and drop scans and updates still waiting
+ */
+function resetPageState() {
+  clearTimeout(pendingScanTimeout)
+  pendingSubtrees.clear()
+  clearTimeout(priceChangeTimeout)
+  clearTimeout(pruneTimeout)
+
+  // Remove badges
+  watchPriceChanges([], true)
+  removeBadges()
+
+  // Clear data attributes
+  detectedPrices.forEach((priceObj) => {
+    priceObj.element.removeAttribute("data-price-detected")
+    priceObj.element.removeAttribute("data-price-value")
+    priceObj.element.removeAttribute("data-price-index")
+    priceObj.element.removeAttribute("data-price-confidence")
+    priceObj.element.removeAttribute("data-hours-value")
+    priceObj.element.removeAttribute("data-hours-formatted")
+  })
+  detectedPrices = []
+  conversions = []
+}
+
+/**
+ * Queue removal of tracked prices whose elements the page has removed,
+ * once a burst of changes has settled
+ */
+function schedulePrune() {
+  clearTimeout(pruneTimeout)
+  pruneTimeout = setTimeout(
+    () => queueScan(async () => pruneDetachedPrices()),
+    500
+  )
+}
+
+/**
+ * Drop tracked prices whose elements have left the page, so re-rendered
+ * lists don't pile up detached elements
+ * The remaining prices are renumbered (data-price-index) to match their
+ * new place in detectedPrices.
+ * @returns {number} Number of prices dropped
+ */
+function pruneDetachedPrices() {
+  const kept = []
+  const keptConversions = []
+  detectedPrices.forEach((priceObj, index) => {
+    if (priceObj.element.isConnected) {
+      kept.push(priceObj)
+      keptConversions.push(conversions[index])
+    }
+  })
+
+  const dropped = detectedPrices.length - kept.length
+  if (dropped === 0) {
+    return 0
   }
+
+  detectedPrices = kept
+  conversions = keptConversions
+  detectedPrices.forEach((priceObj, index) =>
+    priceObj.element.setAttribute("data-price-index", index)
+  )
+  // A badge outlives its price when the page removes just the price element
+  injectedBadges.forEach((badge, anchor) => {
+    if (!anchor.isConnected) {
+      badge.remove()
+      injectedBadges.delete(anchor)
+    }
+  })
+  replacedPrices.forEach((original, element) => {
+    if (!element.isConnected) {
+      replacedPrices.delete(element)
+    }
+  })
+  return dropped
+}
+
+/**
+ * Get the part of the page address that identifies a view
+ * The hash is left out: in-page anchors don't change what's shown.
+ * @returns {string} Origin, path and query of the current page
+ */
+function getRouteKey() {
+  return (
+    window.location.origin + window.location.pathname + window.location.search
+  )
+}
+
+/**
+ * Notice a client-side navigation and handle it once the new view has had
+ * time to render
+ */
+function checkForRouteChange() {
+  const route = getRouteKey()
+  if (route === currentRoute) return
+
+  currentRoute = route
+  clearTimeout(routeChangeTimeout)
+  routeChangeTimeout = setTimeout(handleRouteChange, 500)
+}
+
+/**
+ * Start over for the new view of a single-page app
+ * Scans for the previous view are cancelled and its prices forgotten. The
+ * site checks run again, since a store's path can turn conversion on or
+ * off (see isShoppingSite and the policy site lists).
+ */
+async function handleRouteChange() {
+  // Scans still running for the old view stop at their next checkpoint
+  scanGeneration++
+  await queueScan(async () => resetPageState())
+
+  if (isActive) {
+    await processPage()
+  } else {
+    await init()
+  }
+}
+
+/**
+ * Listen for client-side navigations
+ * The content script runs in its own world, so it can't wrap the page's
+ * history.pushState. The Navigation API reports pushState and
+ * replaceState made by the page; popstate covers back and forward where
+ * that API is missing.
+ */
+function watchNavigation() {
+  if (window.navigation) {
+    window.navigation.addEventListener(
+      "currententrychange",
+      checkForRouteChange
+    )
+  }
+  window.addEventListener("popstate", checkForRouteChange)
 }
 
 // Listen for messages from background script or popup
@@ -679,6 +1555,9 @@ if (typeof chrome !== "undefined" && chrome.runtime) {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "getPrices") {
       sendResponse({ prices: getDetectedPrices() })
+    } else if (request.action === "getScanMetrics") {
+      // Timings of recent scans, for debugging slow pages
+      sendResponse({ metrics: getScanMetrics() })
     } else if (request.action === "setActive") {
       setActive(request.active)
       sendResponse({ success: true })
@@ -705,18 +1584,26 @@ if (typeof chrome !== "undefined" && chrome.runtime) {
       }
       return true // Keep channel open for async
     } else if (request.action === "setDisplayMode") {
-      displayMode = request.mode || "side-by-side"
-      injectBadges()
+      displayMode = request.mode || DEFAULT_DISPLAY_MODE
+      // After any scan still badging the page
+      queueScan(() => injectBadges())
       sendResponse({ success: true })
     } else if (request.action === "setShowHours") {
       showHours = request.show !== false
-      injectBadges()
+      // After any scan still badging the page
+      queueScan(() => injectBadges())
       sendResponse({ success: true })
+    } else if (request.action === "startPicker") {
+      // Pick an element to add to or exclude from this site's rules
+      sendResponse({ success: startElementPicker(request.mode) })
     }
     return true // Keep message channel open for async response
   })
 }
 
+// Follow single-page app navigations, whether or not this page converts
+watchNavigation()
+
 // Initialize when DOM is ready
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", init)
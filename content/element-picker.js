@@ -0,0 +1,277 @@
+/**
+ * Element picker for site rules
+ * Started from the popup: the user clicks a price the detector missed to
+ * add it as a rule, or a wrongly badged element to exclude it. Picked
+ * selectors are stored with addSiteRule (scripts/storage.js); the service
+ * worker then asks every tab to reprocess.
+ */
+
+const PICKER_STYLE_ID = "price-hours-picker-styles"
+const PICKER_BANNER_ID = "price-hours-picker-banner"
+const PICKER_HIGHLIGHT_CLASS = "price-hours-picker-highlight"
+
+// Instructions shown while picking, by rule type
+const PICKER_PROMPTS = {
+  include: "Click a price to convert it on this site",
+  exclude: "Click a badged element to stop converting it on this site",
+}
+
+let pickerMode = null // "include" or "exclude" while picking
+let pickerHovered = null
+
+/**
+ * Check if a class or id looks generated by a build tool (e.g. "css-1x2y3z",
+ * "sc-bdVaJa"), which would break on the next deploy
+ * @param {string} name - Class name or id
+ * @returns {boolean} True if the name looks generated
+ */
+function isGeneratedName(name) {
+  return (
+    /\d{3,}/.test(name) ||
+    /^(?:css|sc|jsx|svelte)-/.test(name) ||
+    /[A-Z].*[A-Z].*[A-Z]/.test(name.replace(/^[A-Z]/, "")) ||
+    name.startsWith("price-hours-")
+  )
+}
+
+/**
+ * Describe one element as a selector step: its stable id, or its tag and up
+ * to three stable classes
+ * @param {HTMLElement} element - Element to describe
+ * @returns {{step: string, unique: boolean}} Selector step, and whether it
+ *   identifies the element on its own (an id)
+ */
+function getSelectorStep(element) {
+  if (element.id && !isGeneratedName(element.id)) {
+    return { step: `#${CSS.escape(element.id)}`, unique: true }
+  }
+  const classes = Array.from(element.classList)
+    .filter((name) => !isGeneratedName(name))
+    .slice(0, 3)
+    .map((name) => `.${CSS.escape(name)}`)
+  return {
+    step: element.tagName.toLowerCase() + classes.join(""),
+    unique: false,
+  }
+}
+
+/**
+ * Build a selector for a picked element
+ * Uses stable ids and classes rather than positions, so the rule still
+ * matches the same kind of price on other pages of the site. Parents are
+ * added (up to three) until the selector is specific enough to match at
+ * most a handful of elements in the element's document or shadow root.
+ * @param {HTMLElement} element - The picked element
+ * @returns {string} CSS selector
+ */
+function buildElementSelector(element) {
+  const steps = []
+  const root = element.getRootNode()
+  let current = element
+  while (current && current !== root.body && steps.length < 4) {
+    const { step, unique } = getSelectorStep(current)
+    steps.unshift(step)
+    const selector = steps.join(" > ")
+    if (unique || root.querySelectorAll(selector).length <= 5) {
+      return selector
+    }
+    current = current.parentElement
+  }
+  return steps.join(" > ")
+}
+
+/**
+ * Add the picker's highlight style to a document or shadow root
+ * @param {Document|ShadowRoot} root - Root of the element being highlighted
+ */
+function injectPickerStyles(root) {
+  if (!root.getElementById(PICKER_STYLE_ID)) {
+    const style = document.createElement("style")
+    style.id = PICKER_STYLE_ID
+    style.textContent = `
+      .${PICKER_HIGHLIGHT_CLASS} {
+        outline: 2px dashed #1a73e8 !important;
+        outline-offset: 2px !important;
+        cursor: crosshair !important;
+      }
+
+      #${PICKER_BANNER_ID} {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        background: #202124;
+        color: #fff;
+        font: 14px/1.4 system-ui, sans-serif;
+        padding: 8px 14px;
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+      }
+    `
+    const container = root.head || root // Shadow roots have no head
+    container.appendChild(style)
+  }
+}
+
+/**
+ * Show the picker's highlight style and instruction banner
+ */
+function showPickerOverlay() {
+  injectPickerStyles(document)
+
+  let banner = document.getElementById(PICKER_BANNER_ID)
+  if (!banner) {
+    banner = document.createElement("div")
+    banner.id = PICKER_BANNER_ID
+    document.body.appendChild(banner)
+  }
+  banner.textContent = `${PICKER_PROMPTS[pickerMode]} (Esc to cancel)`
+}
+
+/**
+ * Show a message in the picker banner, then remove it
+ * @param {string} message - Message to show
+ */
+function flashPickerMessage(message) {
+  const banner = document.getElementById(PICKER_BANNER_ID)
+  if (!banner) {
+    return
+  }
+  banner.textContent = message
+  setTimeout(() => banner.remove(), 2500)
+}
+
+/**
+ * Get the element an event happened on, inside open shadow roots too
+ * (event.target is the shadow host there)
+ * @param {Event} event - Pointer event
+ * @returns {HTMLElement} The innermost element
+ */
+function getPickerTarget(event) {
+  const [target] = event.composedPath()
+  return target instanceof Element ? target : event.target
+}
+
+/**
+ * Get the detected price a click in exclude mode points at
+ * Side-by-side badges sit next to their price rather than inside it, so a
+ * clicked badge is mapped back to the price it belongs to (tracked in
+ * content/content-script.js), or to the price just before it.
+ * @param {HTMLElement} target - The clicked element
+ * @returns {HTMLElement} The price element, or the target if it isn't part
+ *   of a detected price
+ */
+function getPickedPriceElement(target) {
+  const badge = target.closest(".price-hours-badge")
+  if (badge) {
+    const priceObj = detectedPrices.find(
+      (p) => injectedBadges.get(p.badgeAnchor || p.element) === badge
+    )
+    if (priceObj) {
+      return priceObj.element
+    }
+    const before = badge.previousElementSibling
+    const price =
+      before &&
+      (before.closest("[data-price-detected]") ||
+        before.querySelector("[data-price-detected]"))
+    if (price) {
+      return price
+    }
+  }
+  return target.closest("[data-price-detected]") || target
+}
+
+/**
+ * Highlight the element under the pointer
+ * @param {MouseEvent} event - Mouse event
+ */
+function handlePickerMouseOver(event) {
+  if (pickerHovered) {
+    pickerHovered.classList.remove(PICKER_HIGHLIGHT_CLASS)
+  }
+  pickerHovered = getPickerTarget(event)
+  injectPickerStyles(pickerHovered.getRootNode())
+  pickerHovered.classList.add(PICKER_HIGHLIGHT_CLASS)
+}
+
+/**
+ * Store a rule for the clicked element
+ * Exclusions target the whole detected price the click landed in, or the
+ * price of the clicked badge.
+ * @param {MouseEvent} event - Click event
+ */
+async function handlePickerClick(event) {
+  event.preventDefault()
+  event.stopPropagation()
+
+  const mode = pickerMode
+  const target = getPickerTarget(event)
+  const picked = mode === "exclude" ? getPickedPriceElement(target) : target
+  stopElementPicker(false)
+
+  const selector = buildElementSelector(picked)
+  const success = await addSiteRule(window.location.hostname, mode, selector)
+  flashPickerMessage(
+    success
+      ? `${mode === "include" ? "Added" : "Excluded"} ${selector}`
+      : "Couldn't save the rule for this site"
+  )
+}
+
+/**
+ * Cancel picking on Escape
+ * @param {KeyboardEvent} event - Key event
+ */
+function handlePickerKeyDown(event) {
+  if (event.key === "Escape") {
+    event.preventDefault()
+    stopElementPicker()
+  }
+}
+
+/**
+ * Start picking an element to include or exclude
+ * @param {string} mode - "include" or "exclude"
+ * @returns {boolean} True if picking started
+ */
+function startElementPicker(mode) {
+  if (!SITE_RULE_TYPES.includes(mode)) {
+    console.error("Invalid picker mode:", mode)
+    return false
+  }
+
+  stopElementPicker()
+  pickerMode = mode
+  showPickerOverlay()
+
+  // Capture phase, so the page's own click handlers (links, carts) don't run
+  document.addEventListener("mouseover", handlePickerMouseOver, true)
+  document.addEventListener("click", handlePickerClick, true)
+  document.addEventListener("keydown", handlePickerKeyDown, true)
+  return true
+}
+
+/**
+ * Stop picking and remove the highlight
+ * @param {boolean} removeBanner - Whether to remove the banner right away
+ *   (false keeps it to show the result)
+ */
+function stopElementPicker(removeBanner = true) {
+  document.removeEventListener("mouseover", handlePickerMouseOver, true)
+  document.removeEventListener("click", handlePickerClick, true)
+  document.removeEventListener("keydown", handlePickerKeyDown, true)
+
+  if (pickerHovered) {
+    pickerHovered.classList.remove(PICKER_HIGHLIGHT_CLASS)
+    pickerHovered = null
+  }
+  pickerMode = null
+
+  const banner = document.getElementById(PICKER_BANNER_ID)
+  if (banner && removeBanner) {
+    banner.remove()
+  }
+}
@@ -12,6 +12,68 @@ const modeSideBySide = document.getElementById("mode-side-by-side")
 const modeReplace = document.getElementById("mode-replace")
 const toggleHours = document.getElementById("toggle-hours")
 
+// Wage profile elements
+const profileSelect = document.getElementById("profile-select")
+const profileNewButton = document.getElementById("profile-new-button")
+const profileDeleteButton = document.getElementById("profile-delete-button")
+const profileNameInput = document.getElementById("profile-name-input")
+const syncOff = document.getElementById("sync-off")
+const syncOn = document.getElementById("sync-on")
+const syncStatus = document.getElementById("sync-status")
+const currencySelect = document.getElementById("currency-select")
+
+// Managed policy set by an administrator (see scripts/policy.js)
+let managedPolicy = { ...EMPTY_POLICY }
+const wagePolicyNote = document.getElementById("wage-policy-note")
+const displayModePolicyNote = document.getElementById(
+  "display-mode-policy-note"
+)
+const tierPolicyNote = document.getElementById("tier-policy-note")
+
+// Currency of the active profile's wage
+let wageCurrency = DEFAULT_CURRENCY
+
+// Income entry elements
+const wageModeHourly = document.getElementById("wage-mode-hourly")
+const wageModeSalary = document.getElementById("wage-mode-salary")
+const hourlyFields = document.getElementById("hourly-fields")
+const salaryFields = document.getElementById("salary-fields")
+const payAmountInput = document.getElementById("pay-amount-input")
+const payPeriodSelect = document.getElementById("pay-period-select")
+const hoursPerWeekInput = document.getElementById("hours-per-week-input")
+const vacationWeeksInput = document.getElementById("vacation-weeks-input")
+
+// Take-home pay elements
+const wageBasisGross = document.getElementById("wage-basis-gross")
+const wageBasisNet = document.getElementById("wage-basis-net")
+const taxProfileRow = document.getElementById("tax-profile-row")
+const taxCountrySelect = document.getElementById("tax-country-select")
+const taxRegionSelect = document.getElementById("tax-region-select")
+const wageBreakdownDisplay = document.getElementById("wage-breakdown")
+const grossWageValue = document.getElementById("gross-wage-value")
+const netWageValue = document.getElementById("net-wage-value")
+const taxProfileInfo = document.getElementById("tax-profile-info")
+const taxCurrencyNote = document.getElementById("tax-currency-note")
+
+// True hourly wage elements
+const trueWageOff = document.getElementById("true-wage-off")
+const trueWageOn = document.getElementById("true-wage-on")
+const trueWageFields = document.getElementById("true-wage-fields")
+const trueWageDisplay = document.getElementById("true-wage-display")
+const trueWageValue = document.getElementById("true-wage-value")
+const commuteMinutesInput = document.getElementById("commute-minutes-input")
+const workDaysInput = document.getElementById("work-days-input")
+const unpaidOvertimeInput = document.getElementById("unpaid-overtime-input")
+const transportCostInput = document.getElementById("transport-cost-input")
+const childcareCostInput = document.getElementById("childcare-cost-input")
+const clothingCostInput = document.getElementById("clothing-cost-input")
+const otherCostInput = document.getElementById("other-cost-input")
+
+// Recurring price display elements
+const recurringDisplayInputs = document.querySelectorAll(
+  'input[name="recurring-display"]'
+)
+
 // Tier settings elements
 const tierTypeMoney = document.getElementById("tier-type-money")
 const tierTypeHours = document.getElementById("tier-type-hours")
@@ -19,18 +81,132 @@ const tierGreenInput = document.getElementById("tier-green-input")
 const tierYellowInput = document.getElementById("tier-yellow-input")
 const tierRedInput = document.getElementById("tier-red-input")
 const tierSuccessMessage = document.getElementById("tier-success-message")
+const rangeTierLow = document.getElementById("range-tier-low")
+const rangeTierHigh = document.getElementById("range-tier-high")
+
+// Detection sensitivity elements
+const detectionSensitivityInputs = document.querySelectorAll(
+  'input[name="detection-sensitivity"]'
+)
+
+// Site rule elements
+const siteRulesInfo = document.getElementById("site-rules-info")
+const siteRulesList = document.getElementById("site-rules-list")
+const pickIncludeButton = document.getElementById("pick-include-button")
+const pickExcludeButton = document.getElementById("pick-exclude-button")
+const siteRulesErrorMessage = document.getElementById(
+  "site-rules-error-message"
+)
+
+// Names shown for site rule types
+const SITE_RULE_TYPE_LABELS = {
+  include: "Price",
+  exclude: "Exclude",
+}
+
+// Exchange rate elements
+const ratesInfo = document.getElementById("rates-info")
+const ratesList = document.getElementById("rates-list")
+const rateCurrencySelect = document.getElementById("rate-currency-select")
+const rateValueInput = document.getElementById("rate-value-input")
+const rateAddButton = document.getElementById("rate-add-button")
+const ratesResetButton = document.getElementById("rates-reset-button")
+const ratesErrorMessage = document.getElementById("rates-error-message")
+
+// Settings backup elements
+const exportSettingsButton = document.getElementById("export-settings-button")
+const importSettingsButton = document.getElementById("import-settings-button")
+const importFileInput = document.getElementById("import-file-input")
+const importPreview = document.getElementById("import-preview")
+const importDiff = document.getElementById("import-diff")
+const importApplyButton = document.getElementById("import-apply-button")
+const importCancelButton = document.getElementById("import-cancel-button")
+const importErrorMessage = document.getElementById("import-error-message")
+const importSuccessMessage = document.getElementById("import-success-message")
+
+// Settings read from an import file, waiting for the user to apply them
+let pendingImport = null
+
+// Names shown for recurring display choices in the import preview
+const RECURRING_DISPLAY_LABELS = {
+  both: "Per period and per year",
+  period: "Per period",
+  year: "Per year",
+}
+
+// Names shown for detection sensitivities in the import preview
+const DETECTION_SENSITIVITY_LABELS = {
+  low: "Low",
+  medium: "Medium",
+  high: "High",
+}
+
+// Names shown for settings in the import preview
+const SETTING_LABELS = {
+  [STORAGE_KEY]: "Hourly wage",
+  [TIER_SETTINGS_KEY]: "Price tiers",
+  [DISPLAY_MODE_KEY]: "Display mode",
+  [SHOW_HOURS_KEY]: "Show hours",
+  [RANGE_TIER_END_KEY]: "Price range colors",
+  [RECURRING_DISPLAY_KEY]: "Subscription prices",
+  [DETECTION_SENSITIVITY_KEY]: "Detection sensitivity",
+  [INCOME_SETTINGS_KEY]: "Income",
+  [TAX_SETTINGS_KEY]: "Take-home pay",
+  [TRUE_WAGE_SETTINGS_KEY]: "True hourly wage",
+  [CURRENCY_KEY]: "Currency",
+  [EXCHANGE_RATES_KEY]: "Exchange rates",
+  [SITE_RULES_KEY]: "Site rules",
+  [PROFILES_KEY]: "Profiles",
+  [ACTIVE_PROFILE_KEY]: "Active profile",
+}
 
 /**
  * Initialize popup
  */
 async function init() {
-  // Load current wage
+  // Load wage profiles (creates the default profile on first run)
+  await loadProfiles()
+  await loadSyncSettings()
+
+  // Fill the currency select once, then load the active profile's settings
+  WAGE_CURRENCIES.forEach((code) => {
+    currencySelect.add(new Option(`${code} (${getCurrencySymbol(code)})`, code))
+  })
+  await loadSettings()
+
+  // Lock the fields an administrator has set
+  managedPolicy = await getManagedPolicy()
+  applyPolicyLocks()
+
+  // Set up event listeners
+  setupEventListeners()
+}
+
+/**
+ * Load all profile-scoped settings into the UI
+ */
+async function loadSettings() {
+  // Load wage currency first so amounts below use its symbol
+  wageCurrency = await getCurrency()
+  currencySelect.value = wageCurrency
+  document.querySelectorAll(".currency-symbol").forEach((el) => {
+    el.textContent = getCurrencySymbol(wageCurrency)
+  })
+  // The policy's wage range only applies in its own currency
+  applyPolicyLocks()
+
+  // Load income settings and the wage derived from them
+  const incomeSettings = await getIncomeSettings()
+  loadIncomeSettings(incomeSettings)
+
   const wage = await getHourlyWage()
+  updateCurrentWageDisplay(wage)
 
-  if (wage > 0) {
-    wageInput.value = wage.toFixed(2)
-    updateCurrentWageDisplay(wage)
-  }
+  // Load tax profile and show gross vs. take-home wage
+  await loadTaxSettings()
+
+  // Load commute, overtime and work cost breakdown
+  await loadTrueWageSettings()
 
   // Load display mode
   const displayMode = await getDisplayMode()
@@ -59,89 +235,352 @@ async function init() {
   const showHours = await getShowHours()
   toggleHours.checked = showHours
 
+  // Load which figures subscription badges show
+  loadRecurringDisplay(await getRecurringDisplay())
+
   // Load tier settings
   await loadTierSettings()
+  await loadRangeTierEnd()
 
-  // Set up event listeners
-  setupEventListeners()
+  // Load how eagerly prices are detected, and the picked site rules
+  loadDetectionSensitivity(await getDetectionSensitivity())
+  await loadSiteRules()
+
+  // Load exchange rates for prices in other currencies
+  await loadExchangeRates()
 }
 
 /**
- * Get hourly wage from storage
+ * Get the hostname of the tab the popup was opened on
+ * @returns {Promise<string|null>} Hostname, or null for pages without one
  */
-async function getHourlyWage() {
+async function getActiveTabHostname() {
   try {
-    const result = await chrome.storage.local.get("hourlyWage")
-    return result.hourlyWage || 0
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+    return tab && tab.url ? new URL(tab.url).hostname || null : null
   } catch (error) {
-    console.error("Error getting hourly wage:", error)
-    return 0
+    console.error("Error getting active tab:", error)
+    return null
   }
 }
 
 /**
- * Set hourly wage in storage
+ * Show the site rules as editable fields, grouped by domain
  */
-async function setHourlyWage(wage) {
-  try {
-    await chrome.storage.local.set({ hourlyWage: wage })
-    return true
-  } catch (error) {
-    console.error("Error setting hourly wage:", error)
-    return false
+async function loadSiteRules() {
+  const rules = await getSiteRules()
+  const hostname = await getActiveTabHostname()
+  siteRulesInfo.textContent = hostname
+    ? `Fix detection on ${getSiteRuleDomain(hostname)}: pick a price it missed, or an element it shouldn't badge.`
+    : "Open a shopping page to pick prices on it."
+  pickIncludeButton.disabled = !hostname
+  pickExcludeButton.disabled = !hostname
+
+  siteRulesList.innerHTML = ""
+  Object.entries(rules).forEach(([domain, siteRules]) => {
+    const heading = document.createElement("span")
+    heading.className = "site-rule-domain"
+    heading.textContent = domain
+    siteRulesList.appendChild(heading)
+
+    SITE_RULE_TYPES.forEach((type) => {
+      siteRules[type].forEach((selector, index) => {
+        const field = document.createElement("label")
+        field.className = "site-rule-field"
+
+        const label = document.createElement("span")
+        label.className = "detail-label"
+        label.textContent = SITE_RULE_TYPE_LABELS[type]
+
+        const input = document.createElement("input")
+        input.type = "text"
+        input.className = "detail-input"
+        input.value = selector
+        input.spellcheck = false
+
+        input.addEventListener("blur", () =>
+          saveSiteRule(domain, type, index, input)
+        )
+        input.addEventListener("keypress", (e) => {
+          if (e.key === "Enter") {
+            input.blur()
+          }
+        })
+
+        field.append(label, input)
+        siteRulesList.appendChild(field)
+      })
+    })
+  })
+}
+
+/**
+ * Save one edited site rule; an empty field removes the rule
+ * @param {string} domain - Domain the rule belongs to
+ * @param {string} type - "include" or "exclude"
+ * @param {number} index - Position of the selector in its list
+ * @param {HTMLInputElement} input - The selector field
+ */
+async function saveSiteRule(domain, type, index, input) {
+  const rules = await getSiteRules()
+  const siteRules = rules[domain]
+  if (!siteRules) {
+    return
   }
+
+  const selector = input.value.trim()
+  if (selector === siteRules[type][index]) {
+    return
+  }
+  if (selector !== "" && !isValidCssSelector(selector)) {
+    input.style.borderColor = "#ea4335"
+    showSiteRulesError("Please enter a valid CSS selector")
+    return
+  }
+
+  const selectors = [...siteRules[type]]
+  if (selector === "") {
+    selectors.splice(index, 1)
+  } else {
+    selectors[index] = selector
+  }
+
+  input.style.borderColor = "#a7cab6"
+  const success = await setSiteRules({
+    ...rules,
+    [domain]: { ...siteRules, [type]: selectors },
+  })
+  if (!success) {
+    showSiteRulesError("Failed to save the rule. Please try again.")
+    return
+  }
+  siteRulesErrorMessage.style.display = "none"
+  await loadSiteRules()
 }
 
 /**
- * Get display mode from storage
+ * Start the element picker on the current tab and close the popup so the
+ * page can be clicked
+ * @param {string} mode - "include" or "exclude"
  */
-async function getDisplayMode() {
+async function startPicker(mode) {
   try {
-    const result = await chrome.storage.local.get("displayMode")
-    return result.displayMode || "side-by-side"
+    const response = await chrome.runtime.sendMessage({
+      action: "startPicker",
+      mode: mode,
+    })
+    if (response && response.success) {
+      window.close()
+      return
+    }
   } catch (error) {
-    console.error("Error getting display mode:", error)
-    return "side-by-side"
+    console.error("Error starting picker:", error)
   }
+  showSiteRulesError("Picking isn't available on this page")
 }
 
 /**
- * Set display mode in storage
+ * Show a site rules error
  */
-async function setDisplayMode(mode) {
-  try {
-    await chrome.storage.local.set({ displayMode: mode })
-    return true
-  } catch (error) {
-    console.error("Error setting display mode:", error)
-    return false
+function showSiteRulesError(message) {
+  siteRulesErrorMessage.textContent = message
+  siteRulesErrorMessage.style.display = "block"
+}
+
+/**
+ * Show the exchange-rate table as editable fields
+ */
+async function loadExchangeRates() {
+  const table = await getExchangeRates()
+  ratesInfo.textContent = `Units per 1 ${table.base}, last updated ${table.updatedAt}`
+
+  ratesList.innerHTML = ""
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    const field = document.createElement("label")
+    field.className = "rate-field"
+
+    const label = document.createElement("span")
+    label.className = "detail-label"
+    label.textContent = code
+
+    const input = document.createElement("input")
+    input.type = "number"
+    input.className = "detail-input"
+    input.min = "0"
+    input.step = "any"
+    input.value = rate
+    input.dataset.currency = code
+    // The base currency always converts at 1
+    input.disabled = code === table.base
+
+    input.addEventListener("blur", () => saveExchangeRate(code, input))
+    input.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        input.blur()
+      }
+    })
+
+    field.append(label, input)
+    ratesList.appendChild(field)
+  })
+
+  rateCurrencySelect.innerHTML = ""
+  Intl.supportedValuesOf("currency")
+    .filter((code) => !(code in table.rates))
+    .forEach((code) => {
+      rateCurrencySelect.add(new Option(code, code))
+    })
+}
+
+/**
+ * Save one edited exchange rate; an empty field removes the currency
+ * @param {string} code - ISO 4217 currency code
+ * @param {HTMLInputElement} input - The rate field
+ */
+async function saveExchangeRate(code, input) {
+  const table = await getExchangeRates()
+  const rates = { ...table.rates }
+  const value = input.value.trim()
+
+  if (value === "") {
+    delete rates[code]
+  } else {
+    const rate = parseFloat(value)
+    if (isNaN(rate) || rate <= 0) {
+      input.style.borderColor = "#ea4335"
+      showRatesError("Please enter a rate greater than 0")
+      return
+    }
+    if (rates[code] === rate) {
+      return
+    }
+    rates[code] = rate
   }
+
+  input.style.borderColor = "#a7cab6"
+  await saveExchangeRates({ ...table, rates })
 }
 
 /**
- * Get show hours toggle state from storage
+ * Add a currency to the exchange-rate table
  */
-async function getShowHours() {
-  try {
-    const result = await chrome.storage.local.get("showHours")
-    return result.showHours !== false // Default to true if not set
-  } catch (error) {
-    console.error("Error getting show hours state:", error)
-    return true
+async function addExchangeRate() {
+  const rate = parseFloat(rateValueInput.value)
+  if (isNaN(rate) || rate <= 0) {
+    rateValueInput.style.borderColor = "#ea4335"
+    showRatesError("Please enter a rate greater than 0")
+    return
   }
+
+  const table = await getExchangeRates()
+  rateValueInput.value = ""
+  rateValueInput.style.borderColor = "#a7cab6"
+  await saveExchangeRates({
+    ...table,
+    rates: { ...table.rates, [rateCurrencySelect.value]: rate },
+  })
 }
 
 /**
- * Set show hours toggle state in storage
+ * Store an edited exchange-rate table, dated today
+ * @param {Object} table - Exchange-rate table
  */
-async function setShowHours(show) {
-  try {
-    await chrome.storage.local.set({ showHours: show })
-    return true
-  } catch (error) {
-    console.error("Error setting show hours state:", error)
-    return false
+async function saveExchangeRates(table) {
+  const success = await setExchangeRates({
+    ...table,
+    updatedAt: new Date().toISOString().slice(0, 10),
+  })
+  if (!success) {
+    showRatesError("Failed to save exchange rates. Please try again.")
+    return
   }
+  ratesErrorMessage.style.display = "none"
+  await loadExchangeRates()
+}
+
+/**
+ * Show an exchange-rate error
+ */
+function showRatesError(message) {
+  ratesErrorMessage.textContent = message
+  ratesErrorMessage.style.display = "block"
+}
+
+/**
+ * Fill the profile select and name field
+ */
+async function loadProfiles() {
+  const { profiles, activeProfileId } = await getProfiles()
+
+  profileSelect.innerHTML = ""
+  Object.values(profiles).forEach((profile) => {
+    profileSelect.add(new Option(profile.name, profile.id))
+  })
+  profileSelect.value = activeProfileId
+
+  // Don't overwrite a name the user is currently editing
+  if (
+    profiles[activeProfileId] &&
+    document.activeElement !== profileNameInput
+  ) {
+    profileNameInput.value = profiles[activeProfileId].name
+  }
+  profileDeleteButton.disabled = Object.keys(profiles).length <= 1
+}
+
+/**
+ * Load the sync choice and last sync status
+ */
+async function loadSyncSettings() {
+  if (await isSyncEnabled()) {
+    syncOn.checked = true
+  } else {
+    syncOff.checked = true
+  }
+  updateSyncStyles()
+  updateSyncStatusDisplay(await getSyncStatus())
+}
+
+/**
+ * Update sync radio button styles
+ */
+function updateSyncStyles() {
+  const enabled = syncOn.checked
+
+  document
+    .getElementById("option-sync-off")
+    .classList.toggle("checked", !enabled)
+  document.getElementById("option-sync-on").classList.toggle("checked", enabled)
+}
+
+/**
+ * Show when settings were last synced, or why syncing failed
+ * @param {{lastSyncedAt: number|null, error: string|null}} status - Sync status
+ */
+function updateSyncStatusDisplay(status) {
+  syncStatus.classList.toggle("error", Boolean(status.error))
+
+  if (!syncOn.checked) {
+    syncStatus.textContent = "Settings are only saved on this device"
+  } else if (status.error) {
+    syncStatus.textContent = `Sync failed: ${status.error}`
+  } else if (status.lastSyncedAt) {
+    syncStatus.textContent = `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`
+  } else {
+    syncStatus.textContent = "Syncing…"
+  }
+}
+
+/**
+ * Switch to a profile and reload its settings
+ */
+async function switchProfile(id) {
+  const success = await setActiveProfile(id)
+  if (success) {
+    hideError()
+    await loadSettings()
+  }
+  await loadProfiles()
 }
 
 /**
@@ -149,13 +588,275 @@ async function setShowHours(show) {
  */
 function updateCurrentWageDisplay(wage) {
   if (wage > 0) {
-    currentWageValue.textContent = `$${wage.toFixed(2)}/ hour`
+    currentWageValue.textContent = `${formatMoney(wage, wageCurrency)}/ hour`
     currentWageDisplay.style.display = "flex"
   } else {
     currentWageDisplay.style.display = "none"
   }
 }
 
+/**
+ * Fill the income entry fields from income settings
+ * Both hourly and salary values are filled so switching modes keeps them
+ */
+function loadIncomeSettings(settings) {
+  if (settings.entryMode === "salary") {
+    wageModeSalary.checked = true
+  } else {
+    wageModeHourly.checked = true
+  }
+
+  wageInput.value =
+    settings.hourlyRate > 0 ? settings.hourlyRate.toFixed(2) : ""
+  payAmountInput.value =
+    settings.payAmount > 0 ? settings.payAmount.toFixed(2) : ""
+  payPeriodSelect.value = settings.payPeriod
+  hoursPerWeekInput.value = settings.hoursPerWeek
+  vacationWeeksInput.value = settings.vacationWeeks
+
+  updateWageModeFields()
+}
+
+/**
+ * Show the fields for the selected wage entry mode
+ */
+function updateWageModeFields() {
+  const isSalary = wageModeSalary.checked
+
+  hourlyFields.style.display = isSalary ? "none" : "block"
+  salaryFields.style.display = isSalary ? "flex" : "none"
+
+  document
+    .getElementById("option-wage-hourly")
+    .classList.toggle("checked", !isSalary)
+  document
+    .getElementById("option-wage-salary")
+    .classList.toggle("checked", isSalary)
+}
+
+/**
+ * Get the amount input for the selected wage entry mode
+ */
+function getActiveWageInput() {
+  return wageModeSalary.checked ? payAmountInput : wageInput
+}
+
+/**
+ * Build income settings from the entry fields
+ */
+function readIncomeSettings() {
+  return {
+    entryMode: wageModeSalary.checked ? "salary" : "hourly",
+    hourlyRate: parseFloat(wageInput.value) || 0,
+    payAmount: parseFloat(payAmountInput.value) || 0,
+    payPeriod: payPeriodSelect.value,
+    hoursPerWeek: parseFloat(hoursPerWeekInput.value) || 0,
+    vacationWeeks: parseFloat(vacationWeeksInput.value) || 0,
+  }
+}
+
+/**
+ * Validate the salary entry fields
+ */
+function validateSalary(settings) {
+  if (settings.payAmount <= 0) {
+    return { valid: false, error: "Please enter a pay amount greater than 0" }
+  }
+
+  if (settings.hoursPerWeek <= 0 || settings.hoursPerWeek > 168) {
+    return {
+      valid: false,
+      error: "Please enter hours per week between 1 and 168",
+    }
+  }
+
+  if (settings.vacationWeeks < 0 || settings.vacationWeeks >= WEEKS_PER_YEAR) {
+    return { valid: false, error: "Please enter fewer than 52 vacation weeks" }
+  }
+
+  return validateWage(calculateEffectiveHourlyWage(settings))
+}
+
+/**
+ * Populate the tax profile selects and wage basis from tax settings
+ */
+async function loadTaxSettings() {
+  const settings = await getTaxSettings()
+
+  if (settings.wageBasis === "net") {
+    wageBasisNet.checked = true
+  } else {
+    wageBasisGross.checked = true
+  }
+
+  // One option per bundled table, labelled with the table's country name
+  const tableList = await getTaxTableList()
+  taxCountrySelect.innerHTML = ""
+  for (const entry of tableList) {
+    const table = await loadTaxTable(entry.id)
+    if (!table) continue
+    taxCountrySelect.add(new Option(table.name, table.id))
+  }
+  taxCountrySelect.value = settings.country
+
+  await updateTaxRegionOptions(settings.country, settings.region)
+  updateWageBasisStyles()
+  await updateWageBreakdownDisplay()
+}
+
+/**
+ * Fill the region select for a country's tax table
+ */
+async function updateTaxRegionOptions(country, selectedRegion) {
+  const table = await loadTaxTable(country)
+  const regions = (table && table.regions) || {}
+
+  taxRegionSelect.innerHTML = ""
+  Object.keys(regions).forEach((code) => {
+    taxRegionSelect.add(new Option(regions[code].name, code))
+  })
+
+  if (selectedRegion in regions) {
+    taxRegionSelect.value = selectedRegion
+  }
+  taxRegionSelect.style.display =
+    Object.keys(regions).length > 0 ? "block" : "none"
+}
+
+/**
+ * Update wage basis radio button styles and show the profile selects
+ */
+function updateWageBasisStyles() {
+  const isNet = wageBasisNet.checked
+
+  document
+    .getElementById("option-basis-gross")
+    .classList.toggle("checked", !isNet)
+  document.getElementById("option-basis-net").classList.toggle("checked", isNet)
+  taxProfileRow.style.display = isNet ? "flex" : "none"
+}
+
+/**
+ * Show gross vs. take-home wage and the active tax profile
+ */
+async function updateWageBreakdownDisplay() {
+  const breakdown = await getWageBreakdown()
+
+  const mismatch = breakdown.taxCurrencyMismatch
+  taxCurrencyNote.textContent = mismatch
+    ? `${mismatch.name} tax tables are in ${mismatch.currency}, so your ${breakdown.currency} wage is used before tax`
+    : ""
+  taxCurrencyNote.style.display = mismatch ? "block" : "none"
+
+  if (breakdown.wageBasis !== "net") {
+    wageBreakdownDisplay.style.display = "none"
+    return
+  }
+
+  grossWageValue.textContent = `${formatMoney(breakdown.grossHourlyWage, wageCurrency)}/ hour`
+  netWageValue.textContent = `${formatMoney(breakdown.netHourlyWage, wageCurrency)}/ hour`
+  taxProfileInfo.textContent = `Tax profile: ${breakdown.taxProfile.name} (${breakdown.taxProfile.taxYear} tables, v${breakdown.taxProfile.version})`
+  wageBreakdownDisplay.style.display = "flex"
+}
+
+/**
+ * Fill the true wage fields from stored settings
+ */
+async function loadTrueWageSettings() {
+  const settings = await getTrueWageSettings()
+
+  if (settings.enabled) {
+    trueWageOn.checked = true
+  } else {
+    trueWageOff.checked = true
+  }
+
+  commuteMinutesInput.value = settings.commuteMinutesPerDay
+  workDaysInput.value = settings.workDaysPerWeek
+  unpaidOvertimeInput.value = settings.unpaidOvertimeHours
+  transportCostInput.value = settings.monthlyCosts.transport
+  childcareCostInput.value = settings.monthlyCosts.childcare
+  clothingCostInput.value = settings.monthlyCosts.clothing
+  otherCostInput.value = settings.monthlyCosts.other
+
+  updateTrueWageStyles()
+  await updateTrueWageDisplay()
+}
+
+/**
+ * Update true wage radio button styles and show the breakdown fields
+ */
+function updateTrueWageStyles() {
+  const enabled = trueWageOn.checked
+
+  document
+    .getElementById("option-true-wage-off")
+    .classList.toggle("checked", !enabled)
+  document
+    .getElementById("option-true-wage-on")
+    .classList.toggle("checked", enabled)
+  trueWageFields.style.display = enabled ? "flex" : "none"
+}
+
+/**
+ * Show the true hourly wage when it is enabled
+ */
+async function updateTrueWageDisplay() {
+  const breakdown = await getWageBreakdown()
+
+  if (!breakdown.trueWage) {
+    trueWageDisplay.style.display = "none"
+    return
+  }
+
+  trueWageValue.textContent = `${formatMoney(breakdown.trueWage.hourlyWage, wageCurrency)}/ hour`
+  trueWageDisplay.style.display = "flex"
+}
+
+/**
+ * Save true wage settings from the breakdown fields
+ */
+async function saveTrueWageSettings() {
+  const settings = {
+    enabled: trueWageOn.checked,
+    commuteMinutesPerDay: parseFloat(commuteMinutesInput.value) || 0,
+    workDaysPerWeek: parseFloat(workDaysInput.value) || 0,
+    unpaidOvertimeHours: parseFloat(unpaidOvertimeInput.value) || 0,
+    monthlyCosts: {
+      transport: parseFloat(transportCostInput.value) || 0,
+      childcare: parseFloat(childcareCostInput.value) || 0,
+      clothing: parseFloat(clothingCostInput.value) || 0,
+      other: parseFloat(otherCostInput.value) || 0,
+    },
+  }
+
+  const success = await setTrueWageSettings(settings)
+  trueWageFields.querySelectorAll(".detail-input").forEach((input) => {
+    input.style.borderColor = success ? "#a7cab6" : "#ea4335"
+  })
+
+  if (success) {
+    await updateTrueWageDisplay()
+  }
+}
+
+/**
+ * Save tax settings from the take-home pay controls
+ */
+async function saveTaxSettings() {
+  const settings = {
+    wageBasis: wageBasisNet.checked ? "net" : "gross",
+    country: taxCountrySelect.value || DEFAULT_TAX_SETTINGS.country,
+    region: taxRegionSelect.value || "",
+  }
+
+  const success = await setTaxSettings(settings)
+  if (success) {
+    await updateWageBreakdownDisplay()
+    await updateTrueWageDisplay()
+  }
+}
+
 /**
  * Validate wage input
  */
@@ -173,16 +874,78 @@ function validateWage(value) {
     return { valid: false, error: "Please enter a reasonable hourly wage" }
   }
 
+  if (clampWageToPolicy(numValue, managedPolicy, wageCurrency) !== numValue) {
+    return { valid: false, error: describeWageRange() }
+  }
+
   return { valid: true, error: null }
 }
 
+/**
+ * Describe the wage range allowed by policy
+ * @returns {string} e.g. "Your organization allows wages from $15.00/hour"
+ */
+function describeWageRange() {
+  const { minHourlyWage, maxHourlyWage } = managedPolicy
+  const currency = managedPolicy.wageCurrency || wageCurrency
+  const min = formatMoney(minHourlyWage || 0, currency)
+  const max = formatMoney(maxHourlyWage || 0, currency)
+
+  if (minHourlyWage !== null && maxHourlyWage !== null) {
+    return `Your organization allows wages from ${min} to ${max}/hour`
+  }
+  if (minHourlyWage !== null) {
+    return `Your organization allows wages from ${min}/hour`
+  }
+  return `Your organization allows wages up to ${max}/hour`
+}
+
+/**
+ * Disable the fields locked by managed policy and explain why
+ */
+function applyPolicyLocks() {
+  const hasWageRange =
+    isPolicyWageCurrency(managedPolicy, wageCurrency) &&
+    (managedPolicy.minHourlyWage !== null ||
+      managedPolicy.maxHourlyWage !== null)
+  wagePolicyNote.textContent = hasWageRange ? describeWageRange() : ""
+  wagePolicyNote.style.display = hasWageRange ? "block" : "none"
+
+  const lockInputs = (inputs, locked) => {
+    inputs.forEach((input) => {
+      input.disabled = locked
+      const option = input.closest(".radio-option")
+      if (option) {
+        option.classList.toggle("locked", locked)
+      }
+    })
+  }
+
+  const displayModeLocked = managedPolicy.displayMode !== null
+  lockInputs([modeSideBySide, modeReplace], displayModeLocked)
+  displayModePolicyNote.style.display = displayModeLocked ? "block" : "none"
+
+  const tiersLocked = managedPolicy.tierSettings !== null
+  lockInputs(
+    [
+      tierTypeMoney,
+      tierTypeHours,
+      tierGreenInput,
+      tierYellowInput,
+      tierRedInput,
+    ],
+    tiersLocked
+  )
+  tierPolicyNote.style.display = tiersLocked ? "block" : "none"
+}
+
 /**
  * Show error message
  */
 function showError(message) {
   errorMessage.textContent = message
   errorMessage.style.display = "block"
-  const inputField = document.querySelector(".input-field")
+  const inputField = getActiveWageInput().closest(".input-field")
   if (inputField) {
     inputField.style.borderColor = "#ea4335"
   }
@@ -193,10 +956,9 @@ function showError(message) {
  */
 function hideError() {
   errorMessage.style.display = "none"
-  const inputField = document.querySelector(".input-field")
-  if (inputField) {
+  document.querySelectorAll(".input-field").forEach((inputField) => {
     inputField.style.borderColor = "#a7cab6"
-  }
+  })
 }
 
 /**
@@ -209,6 +971,177 @@ function showSuccess() {
   }, 2000)
 }
 
+/**
+ * Describe a setting value for the import preview
+ * @param {string} key - Storage key
+ * @param {*} value - Setting value
+ * @param {Object} profiles - Profiles used to name the active profile
+ * @returns {string} Short description
+ */
+function describeSettingValue(key, value, profiles) {
+  if (value === undefined) {
+    return "Not set"
+  }
+
+  switch (key) {
+    case STORAGE_KEY:
+      return `${formatMoney(value, wageCurrency)}/ hour`
+    case TIER_SETTINGS_KEY:
+      return `${value.type === "hours" ? "By hours" : "By money"}: ${value.green} / ${value.yellow} / ${value.red}`
+    case DISPLAY_MODE_KEY:
+      return value === "replace" ? "Replace" : "Side by Side"
+    case SHOW_HOURS_KEY:
+      return value ? "On" : "Off"
+    case RANGE_TIER_END_KEY:
+      return value === "low" ? "Low end" : "High end"
+    case RECURRING_DISPLAY_KEY:
+      return RECURRING_DISPLAY_LABELS[value] || value
+    case DETECTION_SENSITIVITY_KEY:
+      return DETECTION_SENSITIVITY_LABELS[value] || value
+    case TRUE_WAGE_SETTINGS_KEY:
+      return value.enabled ? "On" : "Off"
+    case INCOME_SETTINGS_KEY:
+      return value.entryMode === "salary"
+        ? `Salary: ${value.payAmount} ${value.payPeriod}, ${value.hoursPerWeek}h/week`
+        : "Hourly"
+    case TAX_SETTINGS_KEY:
+      return value.wageBasis === "net"
+        ? `Take-home (${[value.country.toUpperCase(), value.region].filter(Boolean).join(" ")})`
+        : "Gross"
+    case EXCHANGE_RATES_KEY:
+      return `${Object.keys(value.rates).length} currencies (${value.updatedAt})`
+    case SITE_RULES_KEY:
+      return Object.keys(value).join(", ") || "None"
+    case PROFILES_KEY:
+      return Object.values(value)
+        .map((profile) => profile.name)
+        .join(", ")
+    case ACTIVE_PROFILE_KEY:
+      return profiles && profiles[value] ? profiles[value].name : value
+    default:
+      return String(value)
+  }
+}
+
+/**
+ * Download all settings as a JSON file
+ */
+async function handleExport() {
+  hideImportMessages()
+
+  try {
+    const exported = await exportSettings()
+    const blob = new Blob([JSON.stringify(exported, null, 2)], {
+      type: "application/json",
+    })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement("a")
+    link.href = url
+    link.download = SETTINGS_EXPORT_FILE_NAME
+    link.click()
+    URL.revokeObjectURL(url)
+  } catch (error) {
+    console.error("Error exporting settings:", error)
+    showImportError("Could not export settings")
+  }
+}
+
+/**
+ * Read an import file and preview what it would change
+ */
+async function handleImportFile() {
+  const file = importFileInput.files[0]
+  importFileInput.value = ""
+  if (!file) {
+    return
+  }
+
+  hideImportMessages()
+  cancelImport()
+
+  const { settings, errors } = parseSettingsExport(await file.text())
+  if (!settings) {
+    showImportError(errors.join(". "))
+    return
+  }
+
+  const changes = await diffSettings(settings)
+  if (changes.length === 0) {
+    showImportSuccess("Your settings already match this file")
+    return
+  }
+
+  const { profiles } = await getProfiles()
+  importDiff.innerHTML = ""
+  changes.forEach(({ key, before, after }) => {
+    const item = document.createElement("li")
+    const beforeText = describeSettingValue(key, before, profiles)
+    const afterText = describeSettingValue(key, after, settings[PROFILES_KEY])
+    item.textContent = `${SETTING_LABELS[key] || key}: ${beforeText} → ${afterText}`
+    importDiff.appendChild(item)
+  })
+
+  pendingImport = settings
+  importPreview.style.display = "flex"
+}
+
+/**
+ * Apply the previewed import and reload the popup
+ */
+async function handleImportApply() {
+  if (!pendingImport) {
+    return
+  }
+
+  const success = await applyImportedSettings(pendingImport)
+  cancelImport()
+
+  if (!success) {
+    showImportError("Could not import settings")
+    return
+  }
+
+  await loadProfiles()
+  await loadSettings()
+  showImportSuccess("✓ Settings imported!")
+}
+
+/**
+ * Discard a previewed import
+ */
+function cancelImport() {
+  pendingImport = null
+  importDiff.innerHTML = ""
+  importPreview.style.display = "none"
+}
+
+/**
+ * Show an export or import error
+ */
+function showImportError(message) {
+  importErrorMessage.textContent = message
+  importErrorMessage.style.display = "block"
+}
+
+/**
+ * Show an export or import success message
+ */
+function showImportSuccess(message) {
+  importSuccessMessage.textContent = message
+  importSuccessMessage.style.display = "block"
+  setTimeout(() => {
+    importSuccessMessage.style.display = "none"
+  }, 2000)
+}
+
+/**
+ * Hide export and import messages
+ */
+function hideImportMessages() {
+  importErrorMessage.style.display = "none"
+  importSuccessMessage.style.display = "none"
+}
+
 /**
  * Calculate hours for a price
  */
@@ -250,10 +1183,13 @@ function formatHours(hours) {
  * Handle wage save (auto-save on blur)
  */
 async function handleSave() {
-  const inputValue = wageInput.value.trim()
+  const settings = readIncomeSettings()
 
-  // Validate
-  const validation = validateWage(inputValue)
+  // Validate the fields of the active entry mode
+  const validation =
+    settings.entryMode === "salary"
+      ? validateSalary(settings)
+      : validateWage(wageInput.value.trim())
   if (!validation.valid) {
     showError(validation.error)
     return
@@ -261,14 +1197,16 @@ async function handleSave() {
 
   hideError()
 
-  const wage = parseFloat(inputValue)
+  const wage = calculateEffectiveHourlyWage(settings)
 
-  // Save wage
-  const success = await setHourlyWage(wage)
+  // Save income settings (also stores the derived hourly wage)
+  const success = await setIncomeSettings(settings)
 
   if (success) {
     // Update UI
     updateCurrentWageDisplay(wage)
+    updateWageBreakdownDisplay()
+    updateTrueWageDisplay()
     showSuccess()
 
     // Notify background script to update all tabs immediately
@@ -301,6 +1239,148 @@ function setupEventListeners() {
     }
   })
 
+  // Salary fields - save on blur, Enter triggers blur
+  const salaryInputs = [payAmountInput, hoursPerWeekInput, vacationWeeksInput]
+  salaryInputs.forEach((input) => {
+    input.addEventListener("blur", () => {
+      if (payAmountInput.value.trim()) {
+        handleSave()
+      }
+    })
+    input.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        input.blur()
+      }
+    })
+    input.addEventListener("input", hideError)
+  })
+
+  payPeriodSelect.addEventListener("change", () => {
+    if (payAmountInput.value.trim()) {
+      handleSave()
+    }
+  })
+
+  // Profile selector, create, delete and rename
+  profileSelect.addEventListener("change", () => {
+    switchProfile(profileSelect.value)
+  })
+
+  profileNewButton.addEventListener("click", async () => {
+    const count = profileSelect.options.length + 1
+    const id = await createProfile(`Profile ${count}`)
+    if (id) {
+      await loadProfiles()
+      profileNameInput.focus()
+      profileNameInput.select()
+    }
+  })
+
+  profileDeleteButton.addEventListener("click", async () => {
+    const success = await deleteProfile(profileSelect.value)
+    if (success) {
+      await loadSettings()
+      await loadProfiles()
+    }
+  })
+
+  profileNameInput.addEventListener("blur", async () => {
+    const name = profileNameInput.value.trim()
+    if (!isValidProfileName(name)) {
+      profileNameInput.style.borderColor = "#ea4335"
+      return
+    }
+    profileNameInput.style.borderColor = "#a7cab6"
+    await renameProfile(profileSelect.value, name)
+    await loadProfiles()
+  })
+
+  // Site rules - fields save on blur, see loadSiteRules
+  pickIncludeButton.addEventListener("click", () => startPicker("include"))
+  pickExcludeButton.addEventListener("click", () => startPicker("exclude"))
+
+  // Exchange rates - fields save on blur, see loadExchangeRates
+  rateAddButton.addEventListener("click", addExchangeRate)
+  ratesResetButton.addEventListener("click", async () => {
+    await setExchangeRates(DEFAULT_EXCHANGE_RATES)
+    ratesErrorMessage.style.display = "none"
+    await loadExchangeRates()
+  })
+
+  // Settings export and import
+  exportSettingsButton.addEventListener("click", handleExport)
+  importSettingsButton.addEventListener("click", () => {
+    importFileInput.click()
+  })
+  importFileInput.addEventListener("change", handleImportFile)
+  importApplyButton.addEventListener("click", handleImportApply)
+  importCancelButton.addEventListener("click", cancelImport)
+
+  // Sync radio buttons - the service worker merges with synced settings
+  const handleSyncChange = async () => {
+    updateSyncStyles()
+    await setSyncEnabled(syncOn.checked)
+    updateSyncStatusDisplay(await getSyncStatus())
+  }
+  syncOff.addEventListener("change", handleSyncChange)
+  syncOn.addEventListener("change", handleSyncChange)
+
+  profileNameInput.addEventListener("keypress", (e) => {
+    if (e.key === "Enter") {
+      profileNameInput.blur()
+    }
+  })
+
+  // Wage currency
+  currencySelect.addEventListener("change", async () => {
+    const success = await setCurrency(currencySelect.value)
+    if (success) {
+      await loadSettings()
+    }
+  })
+
+  // Wage entry mode radio buttons - keep both modes' values, save if usable
+  const handleWageModeChange = () => {
+    hideError()
+    updateWageModeFields()
+    if (getActiveWageInput().value.trim()) {
+      handleSave()
+    }
+  }
+  wageModeHourly.addEventListener("change", handleWageModeChange)
+  wageModeSalary.addEventListener("change", handleWageModeChange)
+
+  // Wage basis radio buttons and tax profile selects
+  const handleWageBasisChange = async () => {
+    updateWageBasisStyles()
+    await saveTaxSettings()
+  }
+  wageBasisGross.addEventListener("change", handleWageBasisChange)
+  wageBasisNet.addEventListener("change", handleWageBasisChange)
+
+  taxCountrySelect.addEventListener("change", async () => {
+    await updateTaxRegionOptions(taxCountrySelect.value, "")
+    await saveTaxSettings()
+  })
+  taxRegionSelect.addEventListener("change", saveTaxSettings)
+
+  // True wage radio buttons and breakdown fields - save on blur
+  const handleTrueWageChange = async () => {
+    updateTrueWageStyles()
+    await saveTrueWageSettings()
+  }
+  trueWageOff.addEventListener("change", handleTrueWageChange)
+  trueWageOn.addEventListener("change", handleTrueWageChange)
+
+  trueWageFields.querySelectorAll(".detail-input").forEach((input) => {
+    input.addEventListener("blur", saveTrueWageSettings)
+    input.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        input.blur()
+      }
+    })
+  })
+
   // Real-time validation on input
   wageInput.addEventListener("input", () => {
     hideError()
@@ -367,6 +1447,26 @@ function setupEventListeners() {
   // Initialize radio styles
   updateRadioStyles()
 
+  // Recurring display radio buttons
+  recurringDisplayInputs.forEach((input) => {
+    input.addEventListener("change", async () => {
+      if (input.checked) {
+        loadRecurringDisplay(input.value)
+        await setRecurringDisplay(input.value)
+      }
+    })
+  })
+
+  // Detection sensitivity radio buttons
+  detectionSensitivityInputs.forEach((input) => {
+    input.addEventListener("change", async () => {
+      if (input.checked) {
+        loadDetectionSensitivity(input.value)
+        await setDetectionSensitivity(input.value)
+      }
+    })
+  })
+
   // Tier type radio buttons
   tierTypeMoney.addEventListener("change", async () => {
     if (tierTypeMoney.checked) {
@@ -384,6 +1484,14 @@ function setupEventListeners() {
     }
   })
 
+  // Range tier radio buttons
+  const handleRangeTierChange = async () => {
+    updateRangeTierStyles()
+    await setRangeTierEnd(rangeTierLow.checked ? "low" : "high")
+  }
+  rangeTierLow.addEventListener("change", handleRangeTierChange)
+  rangeTierHigh.addEventListener("change", handleRangeTierChange)
+
   // Tier input fields - save on blur
   tierGreenInput.addEventListener("blur", saveTierSettings)
   tierYellowInput.addEventListener("blur", saveTierSettings)
@@ -401,16 +1509,39 @@ function setupEventListeners() {
   })
 
   // Listen for storage changes (in case wage is updated elsewhere)
-  chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Settings synced from other devices are applied to local storage by the
+  // service worker, so only the local area needs watching
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName === "managed") {
+      managedPolicy = await getManagedPolicy()
+      applyPolicyLocks()
+      return
+    }
+    if (areaName === "local" && changes[PROFILES_KEY]) {
+      loadProfiles()
+    }
+    if (areaName === "local" && changes[SYNC_STATUS_KEY]) {
+      updateSyncStatusDisplay(changes[SYNC_STATUS_KEY].newValue)
+    }
     if (areaName === "local" && changes.hourlyWage) {
       const newWage = changes.hourlyWage.newValue || 0
       if (newWage > 0) {
-        wageInput.value = newWage.toFixed(2)
         updateCurrentWageDisplay(newWage)
+        updateWageBreakdownDisplay()
+        updateTrueWageDisplay()
       }
     }
+    if (areaName === "local" && changes.incomeSettings) {
+      const newSettings = changes.incomeSettings.newValue
+      // Don't overwrite a field the user is currently editing
+      if (newSettings && !salaryFields.contains(document.activeElement)) {
+        loadIncomeSettings({ ...DEFAULT_INCOME_SETTINGS, ...newSettings })
+      }
+      updateWageBreakdownDisplay()
+      updateTrueWageDisplay()
+    }
     if (areaName === "local" && changes.displayMode) {
-      const newMode = changes.displayMode.newValue || "side-by-side"
+      const newMode = changes.displayMode.newValue || DEFAULT_DISPLAY_MODE
       if (newMode === "replace") {
         modeReplace.checked = true
       } else {
@@ -421,6 +1552,29 @@ function setupEventListeners() {
       const newShow = changes.showHours.newValue !== false
       toggleHours.checked = newShow
     }
+    if (areaName === "local" && changes[SITE_RULES_KEY]) {
+      // Don't rebuild the list while a rule is being edited
+      if (!siteRulesList.contains(document.activeElement)) {
+        loadSiteRules()
+      }
+    }
+    if (areaName === "local" && changes[RECURRING_DISPLAY_KEY]) {
+      loadRecurringDisplay(
+        changes[RECURRING_DISPLAY_KEY].newValue || DEFAULT_RECURRING_DISPLAY
+      )
+    }
+    if (areaName === "local" && changes[DETECTION_SENSITIVITY_KEY]) {
+      loadDetectionSensitivity(
+        changes[DETECTION_SENSITIVITY_KEY].newValue ||
+          DEFAULT_DETECTION_SENSITIVITY
+      )
+    }
+    if (areaName === "local" && changes[RANGE_TIER_END_KEY]) {
+      const newEnd = changes[RANGE_TIER_END_KEY].newValue
+      rangeTierLow.checked = newEnd === "low"
+      rangeTierHigh.checked = newEnd !== "low"
+      updateRangeTierStyles()
+    }
     if (areaName === "local" && changes.tierSettings) {
       const newSettings = changes.tierSettings.newValue
       if (newSettings) {
@@ -430,9 +1584,10 @@ function setupEventListeners() {
           tierTypeMoney.checked = true
         }
         updateTierCurrencySymbol(newSettings.type)
-        tierGreenInput.value = newSettings.green || 0
-        tierYellowInput.value = newSettings.yellow || 50
-        tierRedInput.value = newSettings.red || 100
+        tierGreenInput.value = newSettings.green || DEFAULT_TIER_SETTINGS.green
+        tierYellowInput.value =
+          newSettings.yellow || DEFAULT_TIER_SETTINGS.yellow
+        tierRedInput.value = newSettings.red || DEFAULT_TIER_SETTINGS.red
         updateTierTypeRadioStyles()
       }
     }
@@ -461,44 +1616,6 @@ function notifyShowHoursChange(show) {
   }
 }
 
-/**
- * Get tier settings from storage
- */
-async function getTierSettings() {
-  try {
-    const result = await chrome.storage.local.get("tierSettings")
-    return (
-      result.tierSettings || {
-        type: "money",
-        green: 0,
-        yellow: 50,
-        red: 100,
-      }
-    )
-  } catch (error) {
-    console.error("Error getting tier settings:", error)
-    return {
-      type: "money",
-      green: 0,
-      yellow: 50,
-      red: 100,
-    }
-  }
-}
-
-/**
- * Set tier settings in storage
- */
-async function setTierSettings(settings) {
-  try {
-    await chrome.storage.local.set({ tierSettings: settings })
-    return true
-  } catch (error) {
-    console.error("Error setting tier settings:", error)
-    return false
-  }
-}
-
 /**
  * Load tier settings into UI
  */
@@ -516,9 +1633,9 @@ async function loadTierSettings() {
   updateTierCurrencySymbol(settings.type)
 
   // Set tier values
-  tierGreenInput.value = settings.green || 0
-  tierYellowInput.value = settings.yellow || 50
-  tierRedInput.value = settings.red || 100
+  tierGreenInput.value = settings.green || DEFAULT_TIER_SETTINGS.green
+  tierYellowInput.value = settings.yellow || DEFAULT_TIER_SETTINGS.yellow
+  tierRedInput.value = settings.red || DEFAULT_TIER_SETTINGS.red
 
   // Update radio button styles
   updateTierTypeRadioStyles()
@@ -543,7 +1660,7 @@ function updateTierCurrencySymbol(type) {
     }
   } else {
     currencySymbols.forEach((el) => {
-      el.textContent = "$"
+      el.textContent = getCurrencySymbol(wageCurrency)
     })
     // Update descriptions for money
     if (descriptions.length >= 3) {
@@ -570,14 +1687,67 @@ function updateTierTypeRadioStyles() {
   }
 }
 
+/**
+ * Check the recurring display option and update its styles
+ * @param {string} display - "both", "period" or "year"
+ */
+function loadRecurringDisplay(display) {
+  recurringDisplayInputs.forEach((input) => {
+    input.checked = input.value === display
+    document
+      .getElementById(`option-recurring-${input.value}`)
+      .classList.toggle("checked", input.checked)
+  })
+}
+
+/**
+ * Check the detection sensitivity option and update its styles
+ * @param {string} sensitivity - "low", "medium" or "high"
+ */
+function loadDetectionSensitivity(sensitivity) {
+  detectionSensitivityInputs.forEach((input) => {
+    input.checked = input.value === sensitivity
+    document
+      .getElementById(`option-sensitivity-${input.value}`)
+      .classList.toggle("checked", input.checked)
+  })
+}
+
+/**
+ * Load which end of a price range sets its tier color
+ */
+async function loadRangeTierEnd() {
+  if ((await getRangeTierEnd()) === "low") {
+    rangeTierLow.checked = true
+  } else {
+    rangeTierHigh.checked = true
+  }
+  updateRangeTierStyles()
+}
+
+/**
+ * Update range tier radio button styles
+ */
+function updateRangeTierStyles() {
+  const low = rangeTierLow.checked
+
+  document
+    .getElementById("option-range-tier-low")
+    .classList.toggle("checked", low)
+  document
+    .getElementById("option-range-tier-high")
+    .classList.toggle("checked", !low)
+}
+
 /**
  * Save tier settings
  */
 async function saveTierSettings() {
   const type = tierTypeMoney.checked ? "money" : "hours"
-  const green = parseFloat(tierGreenInput.value) || 0
-  const yellow = parseFloat(tierYellowInput.value) || 50
-  const red = parseFloat(tierRedInput.value) || 100
+  const green = parseFloat(tierGreenInput.value) || DEFAULT_TIER_SETTINGS.green
+  const yellow =
+    parseFloat(tierYellowInput.value) || DEFAULT_TIER_SETTINGS.yellow
+  const red = parseFloat(tierRedInput.value) || DEFAULT_TIER_SETTINGS.red
 
   // Validate: yellow should be >= green, red should be >= yellow
   if (yellow < green) {
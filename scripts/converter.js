@@ -2,6 +2,24 @@
  * Price-to-hours conversion logic
  */
 
+// How often each billing period recurs in a year
+const PERIODS_PER_YEAR = {
+  day: 365,
+  week: 52,
+  month: 12,
+  quarter: 4,
+  year: 1,
+}
+
+// Short labels for billing periods in badges ("0.5h/mo")
+const PERIOD_LABELS = {
+  day: "day",
+  week: "wk",
+  month: "mo",
+  quarter: "qtr",
+  year: "yr",
+}
+
 /**
  * Calculate hours of work needed for a given price
  * @param {number} price - The item price
@@ -81,6 +99,169 @@ function convertPricesToHours(prices, hourlyWage, formatOptions = {}) {
   })
 }
 
+/**
+ * Format a range of hours, e.g. "1–2.5h"
+ * @param {number} minHours - Hours for the low end of the range
+ * @param {number|null} maxHours - Hours for the high end, or null for a
+ *   "from" price with no upper end
+ * @returns {string} Formatted range (e.g. "1–2.5h", "up to 2h", "from 1h")
+ */
+function formatHoursRange(minHours, maxHours) {
+  const min = formatHours(minHours)
+  if (maxHours === null) {
+    return min === "N/A" ? min : `from ${min}`
+  }
+
+  const max = formatHours(maxHours)
+  if (min === max || min === "N/A") {
+    return max
+  }
+  if (min === "< 0.5h") {
+    return `up to ${max}`
+  }
+  return `${min.replace(/h$/, "")}–${max}`
+}
+
+/**
+ * Convert a price range to hours
+ * @param {number} minPrice - Low end of the range
+ * @param {number|null} maxPrice - High end, or null for a "from" price
+ * @param {number} hourlyWage - The user's hourly wage
+ * @returns {{price: number, hours: number, maxPrice: number|null, maxHours: number|null, formatted: string}}
+ *   Conversion result with both ends of the range
+ */
+function convertPriceRangeToHours(minPrice, maxPrice, hourlyWage) {
+  const hours = calculateHours(minPrice, hourlyWage)
+  const maxHours =
+    maxPrice === null ? null : calculateHours(maxPrice, hourlyWage)
+  return {
+    price: minPrice,
+    hours: hours,
+    maxPrice: maxPrice,
+    maxHours: maxHours,
+    formatted: formatHoursRange(hours, maxHours),
+  }
+}
+
+/**
+ * Show a conversion of a recurring price per billing period and per year
+ * @param {Object} conversion - Result of convertPricesToHours or
+ *   convertPriceRangeToHours for one billing period
+ * @param {string} period - Billing period ("day", "week", "month", "quarter" or "year")
+ * @param {string} display - "both", "period" or "year"
+ * @returns {Object} The conversion with period, periodFormatted and
+ *   yearFormatted added, and formatted (e.g. "0.5h/mo · 6h/yr") replaced
+ */
+function annualizeConversion(conversion, period, display) {
+  const perYear = PERIODS_PER_YEAR[period]
+  const yearHours =
+    conversion.maxHours === undefined
+      ? formatHours(conversion.hours * perYear)
+      : formatHoursRange(
+          conversion.hours * perYear,
+          conversion.maxHours === null ? null : conversion.maxHours * perYear
+        )
+
+  const periodFormatted = `${conversion.formatted}/${PERIOD_LABELS[period]}`
+  const yearFormatted = `${yearHours}/yr`
+
+  let formatted = `${periodFormatted} · ${yearFormatted}`
+  if (period === "year" || display === "year") {
+    formatted = yearFormatted
+  } else if (display === "period") {
+    formatted = periodFormatted
+  }
+
+  return {
+    ...conversion,
+    period: period,
+    periodFormatted: periodFormatted,
+    yearFormatted: yearFormatted,
+    formatted: formatted,
+  }
+}
+
+/**
+ * Format a short work time, using minutes below an hour
+ * Unit and per-item prices are often minutes of work, which formatHours
+ * would round to "< 0.5h".
+ * @param {number} hours - The number of hours
+ * @returns {string} Formatted time (e.g. "12 min", "1.5h")
+ */
+function formatWorkTime(hours) {
+  if (hours === null || isNaN(hours) || hours < 0 || hours >= 0.75) {
+    return formatHours(hours)
+  }
+  const minutes = Math.round(hours * 60)
+  return minutes < 1 ? "< 1 min" : `${minutes} min`
+}
+
+/**
+ * Show a conversion of a unit price or multi-buy deal per unit or item
+ * @param {Object} conversion - Result of convertPricesToHours for the
+ *   listed price
+ * @param {Object} deal - Deal from the price detector (type "unit",
+ *   "multi-buy" or "bulk-discount")
+ * @param {number} itemPrice - The deal's price per unit or item, in the
+ *   wage currency
+ * @param {number} hourlyWage - The user's hourly wage
+ * @returns {Object} The conversion with formatted replaced (e.g. "10 min/lb",
+ *   "6 min each"). Unit prices and multi-buys set price and hours to one
+ *   unit or item, keeping the listed total in totalPrice and totalHours;
+ *   bulk discounts keep the listed price and add itemPrice and itemHours.
+ */
+function convertDealToHours(conversion, deal, itemPrice, hourlyWage) {
+  const itemHours = calculateHours(itemPrice, hourlyWage)
+  const itemFormatted = formatWorkTime(itemHours)
+
+  if (deal.type === "unit") {
+    return {
+      ...conversion,
+      formatted:
+        deal.unit === "item"
+          ? `${itemFormatted} each`
+          : `${itemFormatted}/${deal.unit}`,
+    }
+  }
+
+  if (deal.type === "multi-buy") {
+    return {
+      ...conversion,
+      price: itemPrice,
+      hours: itemHours,
+      totalPrice: conversion.price,
+      totalHours: conversion.hours,
+      formatted: `${itemFormatted} each`,
+    }
+  }
+
+  return {
+    ...conversion,
+    itemPrice: itemPrice,
+    itemHours: itemHours,
+    formatted: `${formatWorkTime(conversion.hours)} · ${itemFormatted} each for ${deal.quantity}+`,
+  }
+}
+
+/**
+ * Show how much work a sale saves compared to its list price
+ * @param {Object} conversion - Conversion result for the sale price
+ * @param {number} savedPrice - List price minus sale price, in the wage
+ *   currency
+ * @param {number} hourlyWage - The user's hourly wage
+ * @returns {Object} The conversion with savedPrice and savedHours added and
+ *   the savings appended to formatted (e.g. "2h · saves 1.5h")
+ */
+function addSavingsToConversion(conversion, savedPrice, hourlyWage) {
+  const savedHours = calculateHours(savedPrice, hourlyWage)
+  return {
+    ...conversion,
+    savedPrice: savedPrice,
+    savedHours: savedHours,
+    formatted: `${conversion.formatted} · saves ${formatWorkTime(savedHours)}`,
+  }
+}
+
 /**
  * Determine tier color based on value and tier settings
  * @param {number} value - The value to check (price or hours)
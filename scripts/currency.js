@@ -0,0 +1,134 @@
+/**
+ * Currency formatting helpers for wages and prices
+ */
+
+const DEFAULT_CURRENCY = "USD"
+
+// Currencies offered for wages (ISO 4217 codes)
+const WAGE_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "CAD",
+  "AUD",
+  "JPY",
+  "CHF",
+  "INR",
+  "SEK",
+  "NZD",
+]
+
+// ISO 4217 codes the browser knows, for spotting codes like "EUR" in prices
+const KNOWN_CURRENCY_CODES = new Set(Intl.supportedValuesOf("currency"))
+
+// Currency used in each region (ISO 3166 alpha-2), for pages that don't
+// state the currency of their prices
+const REGION_CURRENCIES = {
+  US: "USD",
+  CA: "CAD",
+  MX: "MXN",
+  BR: "BRL",
+  GB: "GBP",
+  IE: "EUR",
+  DE: "EUR",
+  AT: "EUR",
+  FR: "EUR",
+  BE: "EUR",
+  NL: "EUR",
+  LU: "EUR",
+  ES: "EUR",
+  PT: "EUR",
+  IT: "EUR",
+  GR: "EUR",
+  FI: "EUR",
+  EE: "EUR",
+  LV: "EUR",
+  LT: "EUR",
+  SK: "EUR",
+  SI: "EUR",
+  HR: "EUR",
+  MT: "EUR",
+  CY: "EUR",
+  CH: "CHF",
+  SE: "SEK",
+  NO: "NOK",
+  DK: "DKK",
+  PL: "PLN",
+  JP: "JPY",
+  CN: "CNY",
+  KR: "KRW",
+  IN: "INR",
+  SG: "SGD",
+  HK: "HKD",
+  AU: "AUD",
+  NZ: "NZD",
+}
+
+/**
+ * Get the currency used in a region
+ * @param {string} region - ISO 3166 alpha-2 region code (any case)
+ * @returns {string|null} ISO 4217 currency code, or null if unknown
+ */
+function getRegionCurrency(region) {
+  if (typeof region !== "string") {
+    return null
+  }
+  return REGION_CURRENCIES[region.toUpperCase()] || null
+}
+
+/**
+ * Check if a string is a currency code Intl can format
+ * @param {string} code - ISO 4217 currency code
+ * @returns {boolean} True if the code is usable
+ */
+function isValidCurrency(code) {
+  if (typeof code !== "string" || !/^[A-Z]{3}$/.test(code)) {
+    return false
+  }
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: code })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Format an amount of money for display
+ * @param {number} amount - The amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {number} fractionDigits - Decimal places (default 2)
+ * @returns {string} Formatted amount (e.g. "$25.00", "€25.00")
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY, fractionDigits = 2) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currency,
+      currencyDisplay: "narrowSymbol",
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(amount)
+  } catch (error) {
+    return `${amount.toFixed(fractionDigits)} ${currency}`
+  }
+}
+
+/**
+ * Get the symbol shown for a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Currency symbol (e.g. "$", "€"), or the code itself
+ */
+function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+  try {
+    const parts = new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currency,
+      currencyDisplay: "narrowSymbol",
+    }).formatToParts(0)
+    const symbol = parts.find((part) => part.type === "currency")
+    return symbol ? symbol.value : currency
+  } catch (error) {
+    return currency
+  }
+}
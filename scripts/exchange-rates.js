@@ -0,0 +1,172 @@
+/**
+ * Offline exchange-rate table for converting prices into the wage currency
+ *
+ * Rates are stored locally (never fetched) as units of each currency per
+ * one unit of the base currency, and can be edited in the popup.
+ */
+
+const EXCHANGE_RATES_KEY = "exchangeRates"
+
+// Approximate mid-market rates; users should update the ones they rely on.
+// Covers every currency the price detector reads from a symbol (see
+// CURRENCY_SYMBOLS and SHARED_CURRENCY_SYMBOLS in price-detector.js).
+// Stored tables don't pick up currencies added here on their own: add a
+// settings migration that calls addMissingDefaultRates.
+const DEFAULT_EXCHANGE_RATES = {
+  base: "USD",
+  updatedAt: "2025-06-01",
+  rates: {
+    USD: 1,
+    EUR: 0.88,
+    GBP: 0.74,
+    CAD: 1.37,
+    AUD: 1.54,
+    NZD: 1.66,
+    JPY: 144,
+    CNY: 7.19,
+    KRW: 1365,
+    INR: 85.5,
+    CHF: 0.82,
+    SEK: 9.6,
+    NOK: 10.1,
+    DKK: 6.56,
+    PLN: 3.75,
+    MXN: 19.2,
+    BRL: 5.6,
+    SGD: 1.29,
+    HKD: 7.85,
+    TWD: 29.9,
+    TRY: 39.2,
+    RUB: 78.5,
+    UAH: 41.5,
+    ILS: 3.55,
+    VND: 26000,
+    THB: 32.7,
+    PHP: 56.5,
+    NGN: 1540,
+    KZT: 510,
+    AZN: 1.7,
+    GEL: 2.72,
+    BDT: 122,
+    PEN: 3.63,
+    CZK: 21.9,
+    HUF: 352,
+    RON: 4.4,
+    MYR: 4.23,
+    IDR: 16300,
+    ISK: 126,
+    PKR: 282,
+    LKR: 299,
+    NPR: 137,
+  },
+}
+
+/**
+ * Check that an exchange-rate table is complete and usable
+ * @param {Object} table - Exchange-rate table
+ * @returns {boolean} True if the table is valid
+ */
+function isValidExchangeRates(table) {
+  if (typeof table !== "object" || table === null) {
+    return false
+  }
+
+  if (!isValidCurrency(table.base) || typeof table.updatedAt !== "string") {
+    return false
+  }
+
+  if (typeof table.rates !== "object" || table.rates === null) {
+    return false
+  }
+
+  const entries = Object.entries(table.rates)
+  const validRates = entries.every(
+    ([code, rate]) =>
+      isValidCurrency(code) &&
+      typeof rate === "number" &&
+      isFinite(rate) &&
+      rate > 0
+  )
+
+  // The base currency converts to itself at 1
+  return validRates && table.rates[table.base] === 1
+}
+
+/**
+ * Add the default rate of every currency a table is missing
+ * Defaults are rebased onto the table's base currency, so a table with
+ * another base only gets them if its base has a default rate.
+ * @param {Object} table - Exchange-rate table
+ * @returns {Object} The table with the missing rates added
+ */
+function addMissingDefaultRates(table) {
+  const baseRate = DEFAULT_EXCHANGE_RATES.rates[table.base]
+  if (!baseRate) {
+    return table
+  }
+
+  const rates = { ...table.rates }
+  Object.entries(DEFAULT_EXCHANGE_RATES.rates).forEach(([code, rate]) => {
+    if (rates[code] === undefined) {
+      rates[code] = Number((rate / baseRate).toPrecision(6))
+    }
+  })
+  return { ...table, rates }
+}
+
+/**
+ * Get the exchange-rate table from storage
+ * @returns {Promise<Object>} Exchange-rate table, or the defaults if not set
+ */
+async function getExchangeRates() {
+  try {
+    const result = await chrome.storage.local.get(EXCHANGE_RATES_KEY)
+    const table = result[EXCHANGE_RATES_KEY]
+    return isValidExchangeRates(table) ? table : DEFAULT_EXCHANGE_RATES
+  } catch (error) {
+    console.error("Error getting exchange rates:", error)
+    return DEFAULT_EXCHANGE_RATES
+  }
+}
+
+/**
+ * Set the exchange-rate table in storage
+ * @param {Object} table - Exchange-rate table
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setExchangeRates(table) {
+  if (!isValidExchangeRates(table)) {
+    console.error("Invalid exchange rates:", table)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [EXCHANGE_RATES_KEY]: table })
+    return true
+  } catch (error) {
+    console.error("Error setting exchange rates:", error)
+    return false
+  }
+}
+
+/**
+ * Convert an amount between currencies using a rate table
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} table - Exchange-rate table
+ * @returns {number|null} Converted amount, or null if a rate is missing
+ */
+function convertCurrency(amount, from, to, table) {
+  if (from === to) {
+    return amount
+  }
+
+  const fromRate = table.rates[from]
+  const toRate = table.rates[to]
+  if (!fromRate || !toRate) {
+    return null
+  }
+
+  return (amount / fromRate) * toRate
+}
@@ -0,0 +1,191 @@
+/**
+ * Income model for deriving an effective hourly wage from salaried pay
+ */
+
+const WEEKS_PER_YEAR = 52
+
+// Number of pay periods in a year, keyed by pay period
+const PAY_PERIODS = {
+  weekly: 52,
+  monthly: 12,
+  annual: 1,
+}
+
+const DEFAULT_INCOME_SETTINGS = {
+  entryMode: "hourly", // "hourly" or "salary"
+  hourlyRate: 0, // Rate entered in hourly mode
+  payAmount: 0, // Amount entered in salary mode, per pay period
+  payPeriod: "annual", // "weekly", "monthly" or "annual"
+  hoursPerWeek: 40,
+  vacationWeeks: 0, // Paid weeks off per year
+}
+
+/**
+ * Check that income settings are complete and within sensible bounds
+ * @param {Object} settings - Income settings object
+ * @returns {boolean} True if the settings can be used to derive a wage
+ */
+function isValidIncomeSettings(settings) {
+  if (typeof settings !== "object" || settings === null) {
+    return false
+  }
+
+  if (settings.entryMode !== "hourly" && settings.entryMode !== "salary") {
+    return false
+  }
+
+  if (!PAY_PERIODS[settings.payPeriod]) {
+    return false
+  }
+
+  const numbers = [
+    settings.hourlyRate,
+    settings.payAmount,
+    settings.hoursPerWeek,
+    settings.vacationWeeks,
+  ]
+  if (numbers.some((n) => typeof n !== "number" || isNaN(n) || n < 0)) {
+    return false
+  }
+
+  // A week has 168 hours and you can't take the whole year off
+  if (settings.hoursPerWeek > 168 || settings.vacationWeeks >= WEEKS_PER_YEAR) {
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Get the number of hours actually worked in a year
+ * @param {Object} settings - Income settings object
+ * @returns {number} Worked hours per year (paid vacation excluded)
+ */
+function calculateWorkedHoursPerYear(settings) {
+  return settings.hoursPerWeek * (WEEKS_PER_YEAR - settings.vacationWeeks)
+}
+
+/**
+ * Derive the effective hourly wage from income settings
+ * In salary mode the yearly pay is spread over the hours actually worked,
+ * so paid vacation raises the effective rate.
+ * @param {Object} settings - Income settings object
+ * @returns {number} Effective hourly wage, or 0 if it can't be derived
+ */
+function calculateEffectiveHourlyWage(settings) {
+  if (!isValidIncomeSettings(settings)) {
+    return 0
+  }
+
+  if (settings.entryMode === "hourly") {
+    return settings.hourlyRate
+  }
+
+  const annualPay = settings.payAmount * PAY_PERIODS[settings.payPeriod]
+  const workedHours = calculateWorkedHoursPerYear(settings)
+
+  if (workedHours <= 0) {
+    return 0
+  }
+
+  return annualPay / workedHours
+}
+
+const DEFAULT_TRUE_WAGE_SETTINGS = {
+  enabled: false,
+  commuteMinutesPerDay: 0, // Round trip
+  workDaysPerWeek: 5,
+  unpaidOvertimeHours: 0, // Per week
+  monthlyCosts: {
+    transport: 0,
+    childcare: 0,
+    clothing: 0, // Work clothes
+    other: 0,
+  },
+}
+
+/**
+ * Check that true wage settings are complete and within sensible bounds
+ * @param {Object} settings - True wage settings object
+ * @returns {boolean} True if the settings can be used
+ */
+function isValidTrueWageSettings(settings) {
+  if (typeof settings !== "object" || settings === null) {
+    return false
+  }
+
+  if (typeof settings.enabled !== "boolean") {
+    return false
+  }
+
+  const costs = settings.monthlyCosts
+  if (typeof costs !== "object" || costs === null) {
+    return false
+  }
+
+  const numbers = [
+    settings.commuteMinutesPerDay,
+    settings.workDaysPerWeek,
+    settings.unpaidOvertimeHours,
+    ...Object.values(costs),
+  ]
+  if (numbers.some((n) => typeof n !== "number" || isNaN(n) || n < 0)) {
+    return false
+  }
+
+  return (
+    settings.commuteMinutesPerDay < 24 * 60 &&
+    settings.workDaysPerWeek <= 7 &&
+    settings.unpaidOvertimeHours <= 168
+  )
+}
+
+/**
+ * Derive the "true" hourly wage: pay minus work-related costs, spread over
+ * every hour spent on the job (paid hours, unpaid overtime and commuting)
+ * @param {number} hourlyWage - Hourly wage to start from (gross or net)
+ * @param {Object} incomeSettings - Income settings object
+ * @param {Object} trueWageSettings - True wage settings object
+ * @returns {Object|null} Breakdown with hourlyWage, annualPay, annualCosts,
+ *   paidHours, overtimeHours and commuteHours, or null if it can't be derived
+ */
+function calculateTrueHourlyWage(hourlyWage, incomeSettings, trueWageSettings) {
+  if (
+    hourlyWage <= 0 ||
+    !isValidIncomeSettings(incomeSettings) ||
+    !isValidTrueWageSettings(trueWageSettings)
+  ) {
+    return null
+  }
+
+  const workingWeeks = WEEKS_PER_YEAR - incomeSettings.vacationWeeks
+  const paidHours = calculateWorkedHoursPerYear(incomeSettings)
+  if (paidHours <= 0) {
+    return null
+  }
+
+  const overtimeHours = trueWageSettings.unpaidOvertimeHours * workingWeeks
+  const commuteHours =
+    (trueWageSettings.commuteMinutesPerDay / 60) *
+    trueWageSettings.workDaysPerWeek *
+    workingWeeks
+
+  const annualPay = hourlyWage * paidHours
+  const annualCosts =
+    Object.values(trueWageSettings.monthlyCosts).reduce(
+      (sum, cost) => sum + cost,
+      0
+    ) * 12
+
+  const totalHours = paidHours + overtimeHours + commuteHours
+  const trueHourlyWage = Math.max(0, annualPay - annualCosts) / totalHours
+
+  return {
+    hourlyWage: trueHourlyWage,
+    annualPay: annualPay,
+    annualCosts: annualCosts,
+    paidHours: paidHours,
+    overtimeHours: overtimeHours,
+    commuteHours: commuteHours,
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Managed (enterprise) policy read from chrome.storage.managed
+ *
+ * Administrators can set a default wage and an allowed wage range, lock
+ * tier thresholds and the display mode, and choose the sites where prices
+ * are converted. Wage amounts are in the policy's wageCurrency, or in each
+ * user's own wage currency when it isn't set. The schema is in managed-schema.json. The service worker
+ * writes locked values over the user's settings, so everything else keeps
+ * reading settings from chrome.storage.local as usual.
+ */
+
+const POLICY_WAGE_KEYS = ["defaultHourlyWage", "minHourlyWage", "maxHourlyWage"]
+const POLICY_SITE_LIST_KEYS = ["siteAllowList", "siteDenyList"]
+
+const EMPTY_POLICY = {
+  wageCurrency: null,
+  defaultHourlyWage: null,
+  minHourlyWage: null,
+  maxHourlyWage: null,
+  tierSettings: null,
+  displayMode: null,
+  siteAllowList: [],
+  siteDenyList: [],
+}
+
+/**
+ * Check that a site list is an array of domain strings
+ * @param {*} list - Site list from policy
+ * @returns {boolean} True if the list is usable
+ */
+function isValidSiteList(list) {
+  return Array.isArray(list) && list.every((site) => typeof site === "string")
+}
+
+/**
+ * Get the managed policy, with invalid entries ignored
+ * @returns {Promise<Object>} Policy with every field of EMPTY_POLICY
+ */
+async function getManagedPolicy() {
+  let managed
+  try {
+    managed = await chrome.storage.managed.get(null)
+  } catch (error) {
+    // No policy is installed (or managed storage isn't available here)
+    return { ...EMPTY_POLICY }
+  }
+
+  const policy = { ...EMPTY_POLICY }
+  const reject = (key) => console.warn("Ignoring invalid policy:", key)
+
+  if (managed.wageCurrency !== undefined) {
+    if (isValidCurrency(managed.wageCurrency)) {
+      policy.wageCurrency = managed.wageCurrency
+    } else {
+      reject("wageCurrency")
+    }
+  }
+
+  POLICY_WAGE_KEYS.forEach((key) => {
+    if (managed[key] === undefined) {
+      return
+    }
+    if (isValidHourlyWage(managed[key])) {
+      policy[key] = managed[key]
+    } else {
+      reject(key)
+    }
+  })
+
+  if (
+    policy.minHourlyWage !== null &&
+    policy.maxHourlyWage !== null &&
+    policy.minHourlyWage > policy.maxHourlyWage
+  ) {
+    reject("minHourlyWage")
+    policy.minHourlyWage = null
+  }
+
+  if (managed.tierSettings !== undefined) {
+    if (isValidTierSettings(managed.tierSettings)) {
+      policy.tierSettings = managed.tierSettings
+    } else {
+      reject("tierSettings")
+    }
+  }
+
+  if (managed.displayMode !== undefined) {
+    if (isValidDisplayMode(managed.displayMode)) {
+      policy.displayMode = managed.displayMode
+    } else {
+      reject("displayMode")
+    }
+  }
+
+  POLICY_SITE_LIST_KEYS.forEach((key) => {
+    if (managed[key] === undefined) {
+      return
+    }
+    if (isValidSiteList(managed[key])) {
+      policy[key] = managed[key].map((site) => site.trim().toLowerCase())
+    } else {
+      reject(key)
+    }
+  })
+
+  return policy
+}
+
+/**
+ * Get the settings the policy locks, with the values they're locked to
+ * @param {Object} policy - Policy from getManagedPolicy
+ * @returns {Object} Locked values keyed by storage key
+ */
+function getLockedSettings(policy) {
+  const locked = {}
+  if (policy.tierSettings) {
+    locked[TIER_SETTINGS_KEY] = policy.tierSettings
+  }
+  if (policy.displayMode) {
+    locked[DISPLAY_MODE_KEY] = policy.displayMode
+  }
+  return locked
+}
+
+/**
+ * Check if the policy's wage amounts apply to wages in a currency
+ * @param {Object} policy - Policy from getManagedPolicy
+ * @param {string} currency - Wage currency code
+ * @returns {boolean} True unless the policy names a different currency
+ */
+function isPolicyWageCurrency(policy, currency) {
+  return policy.wageCurrency === null || policy.wageCurrency === currency
+}
+
+/**
+ * Bring a wage into the range the policy allows
+ * A wage in a currency other than the policy's is left as it is.
+ * @param {number} wage - Hourly wage
+ * @param {Object} policy - Policy from getManagedPolicy
+ * @param {string} currency - Currency of the wage
+ * @returns {number} The wage, clamped to the allowed range
+ */
+function clampWageToPolicy(wage, policy, currency) {
+  if (!isPolicyWageCurrency(policy, currency)) {
+    return wage
+  }
+  if (policy.minHourlyWage !== null && wage < policy.minHourlyWage) {
+    return policy.minHourlyWage
+  }
+  if (policy.maxHourlyWage !== null && wage > policy.maxHourlyWage) {
+    return policy.maxHourlyWage
+  }
+  return wage
+}
+
+/**
+ * Check if a hostname matches a site list entry or one of its subdomains
+ * @param {string} hostname - Page hostname
+ * @param {Array<string>} list - Domains (e.g. "amazon.com")
+ * @returns {boolean} True if the hostname is on the list
+ */
+function isSiteOnList(hostname, list) {
+  const host = hostname.toLowerCase()
+  return list.some((site) => host === site || host.endsWith(`.${site}`))
+}
+
+/**
+ * Decide whether the policy allows converting prices on a page
+ * The deny list always wins. A non-empty allow list replaces shopping site
+ * detection: only sites on it are converted.
+ * @param {string} url - Page URL
+ * @param {Object} policy - Policy from getManagedPolicy
+ * @returns {"allow"|"deny"|null} The policy's decision, or null if it has none
+ */
+function getSitePolicy(url, policy) {
+  let hostname
+  try {
+    hostname = new URL(url).hostname
+  } catch (error) {
+    return null
+  }
+
+  if (isSiteOnList(hostname, policy.siteDenyList)) {
+    return "deny"
+  }
+  if (policy.siteAllowList.length > 0) {
+    return isSiteOnList(hostname, policy.siteAllowList) ? "allow" : "deny"
+  }
+  return null
+}
+
+/**
+ * Write policy values over the user's settings
+ * Locked settings are replaced, a wage outside the allowed range is clamped,
+ * and the default wage is used when no wage has been set yet. An hourly
+ * entry has its rate clamped. A salary entry is kept as the user entered it
+ * and only the wage derived from it is clamped, since the popup won't save a
+ * salary outside the range.
+ * @returns {Promise<boolean>} True if any setting was changed
+ */
+async function applyManagedPolicy() {
+  try {
+    const policy = await getManagedPolicy()
+    const locked = getLockedSettings(policy)
+    const current = await chrome.storage.local.get(Object.keys(locked))
+    let changed = false
+
+    const updates = {}
+    Object.entries(locked).forEach(([key, value]) => {
+      if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+        updates[key] = value
+      }
+    })
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set(updates)
+      changed = true
+    }
+
+    const wage = await getHourlyWage()
+    let currency = await getCurrency()
+    let policyWage = wage
+    if (wage > 0) {
+      policyWage = clampWageToPolicy(wage, policy, currency)
+    } else if (policy.defaultHourlyWage !== null) {
+      // The default wage comes with the policy's currency, if it names one
+      if (policy.wageCurrency !== null && currency !== policy.wageCurrency) {
+        currency = policy.wageCurrency
+        await setCurrency(currency)
+        changed = true
+      }
+      policyWage = clampWageToPolicy(policy.defaultHourlyWage, policy, currency)
+    }
+    if (policyWage !== wage) {
+      const incomeSettings = await getIncomeSettings()
+      if (incomeSettings.entryMode === "hourly") {
+        await setIncomeSettings({ ...incomeSettings, hourlyRate: policyWage })
+      } else {
+        await setHourlyWage(policyWage)
+      }
+      changed = true
+    }
+
+    return changed
+  } catch (error) {
+    console.error("Error applying managed policy:", error)
+    return false
+  }
+}
@@ -2,7 +2,8 @@
  * Price detection logic for extracting prices from web pages
  */
 
-// Common CSS selectors for price elements on various shopping sites
+// Common CSS selectors for price elements on sites without an adapter
+// (store-specific rules live in utils/site-adapters.js)
 const PRICE_SELECTORS = [
   // Generic price selectors
   '[class*="price"]',
@@ -12,23 +13,6 @@ const PRICE_SELECTORS = [
   "[data-price]",
   '[data-testid*="price"]',
 
-  // Amazon - more specific selectors for product prices
-  ".a-price-whole",
-  ".a-price .a-offscreen",
-  '[data-a-color="price"]',
-  ".a-price-symbol",
-  ".a-price .a-price-whole",
-  ".a-price-range .a-price-whole",
-  // Exclude deal/timer elements
-  '[class*="deal"]:not([class*="time"]):not([class*="timer"]):not([class*="countdown"])',
-
-  // eBay
-  ".notranslate",
-  "#prcIsum",
-
-  // Etsy
-  ".currency-value",
-
   // Generic e-commerce
   ".product-price",
   ".item-price",
@@ -37,19 +21,252 @@ const PRICE_SELECTORS = [
   ".value",
 ]
 
+// Rules for sites without an adapter (see utils/site-adapters.js)
+const GENERIC_SITE_ADAPTER = {
+  name: "Generic",
+  domains: [],
+  selectors: PRICE_SELECTORS,
+  composites: [],
+  exclude: [],
+  badgeAfter: null,
+  scanText: true,
+}
+
+// Meta tags with a product's price (Open Graph and Facebook catalog)
+const STRUCTURED_PRICE_META = [
+  { amount: "product:price:amount", currency: "product:price:currency" },
+  { amount: "og:price:amount", currency: "og:price:currency" },
+]
+
+// Most structured offers read from one page; product pages list a few, and
+// variant lists beyond this are rarely all shown
+const STRUCTURED_OFFER_LIMIT = 10
+
+// A price amount: digit groups split by ".", ",", apostrophes or (narrow)
+// no-break spaces, with groups of two allowed for Indian grouping
+// ("1,00,000"), then an optional decimal part ("$.99" has no integer part)
+const PRICE_NUMBER_SOURCE =
+  "\\d{1,3}(?:[.,'’ \\u00a0\\u202f\\u2009]\\d{2,3})+(?:[.,]\\d+)?(?!\\d)|\\d+(?:[.,]\\d+)?|[.,]\\d+"
+const PRICE_NUMBER_PATTERN = new RegExp(PRICE_NUMBER_SOURCE)
+
+// Separators that only ever group digits, never mark decimals
+const GROUP_ONLY_SEPARATORS = /['’ \u00a0\u202f\u2009]/g
+
+// Currency symbols that identify a single currency, written before or
+// after the amount
+const CURRENCY_SYMBOLS = {
+  "€": "EUR",
+  "£": "GBP",
+  "₹": "INR",
+  "₩": "KRW",
+  "₽": "RUB",
+  "₺": "TRY",
+  "₴": "UAH",
+  "₪": "ILS",
+  "₫": "VND",
+  "฿": "THB",
+  "₱": "PHP",
+  "₦": "NGN",
+  "₸": "KZT",
+  "₼": "AZN",
+  "₾": "GEL",
+  "৳": "BDT",
+  円: "JPY",
+  元: "CNY",
+  US$: "USD",
+  C$: "CAD",
+  CA$: "CAD",
+  A$: "AUD",
+  AU$: "AUD",
+  NZ$: "NZD",
+  HK$: "HKD",
+  S$: "SGD",
+  MX$: "MXN",
+  NT$: "TWD",
+  R$: "BRL",
+  "S/": "PEN",
+  zł: "PLN",
+  Kč: "CZK",
+  Ft: "HUF",
+  lei: "RON",
+  RM: "MYR",
+  Rp: "IDR",
+}
+
+// Symbols shared by several currencies; the first is assumed when neither
+// the page nor the wage currency says otherwise
+const SHARED_CURRENCY_SYMBOLS = {
+  $: ["USD", "CAD", "AUD", "NZD", "MXN", "SGD", "HKD", "TWD"],
+  "¥": ["JPY", "CNY"],
+  "￥": ["JPY", "CNY"],
+  kr: ["SEK", "NOK", "DKK", "ISK"],
+  "kr.": ["DKK", "SEK", "NOK", "ISK"],
+  Rs: ["INR", "PKR", "LKR", "NPR"],
+  "Rs.": ["INR", "PKR", "LKR", "NPR"],
+}
+
+// ISO codes that are also everyday words ("TOP 10", "ALL 3"), which are
+// never read as currencies
+const AMBIGUOUS_CURRENCY_CODES = new Set([
+  "ALL",
+  "BOB",
+  "CUP",
+  "MAD",
+  "MOP",
+  "SOS",
+  "TOP",
+  "XXX",
+  "XTS",
+])
+
+// Any currency symbol, or an ISO code as a whole word
+const CURRENCY_SYMBOL_SOURCE = buildCurrencySymbolSource([
+  ...Object.keys(CURRENCY_SYMBOLS),
+  ...Object.keys(SHARED_CURRENCY_SYMBOLS),
+])
+const CURRENCY_SYMBOL_PATTERN = new RegExp(CURRENCY_SYMBOL_SOURCE)
+const CURRENCY_MARKER_SOURCE = `${CURRENCY_SYMBOL_SOURCE}|${buildCurrencyCodeSource()}`
+const CURRENCY_MARKER_PATTERN = new RegExp(CURRENCY_MARKER_SOURCE)
+
+// A price: a currency marker before the amount ("R$ 49,90", "EUR 12,99"),
+// or after it ("249 kr", "12.99 USD") as long as no other amount follows
+const PRICE_PATTERN_SOURCE =
+  `(?:${CURRENCY_MARKER_SOURCE})\\s*(?:${PRICE_NUMBER_SOURCE})` +
+  `|(?:${PRICE_NUMBER_SOURCE})\\s*(?:${CURRENCY_MARKER_SOURCE})(?!\\s*\\d)`
+
 // Regex pattern to match price formats (must have currency symbol)
-const PRICE_PATTERN = /[\$€£¥]\s*(\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})?)/g
+const PRICE_PATTERN = new RegExp(PRICE_PATTERN_SOURCE, "g")
+const PRICE_TEXT_PATTERN = new RegExp(PRICE_PATTERN_SOURCE)
+
+// Words before a starting price ("From $12", "Starting at €9", "ab 5 €")
+const FROM_PRICE_SOURCE =
+  "(?<![A-Za-z])(?:[Ff]rom|FROM|[Ss]tarting (?:at|from)|[Ss]tarts at|[Aa]s low as|[Aa]b|[Dd]ès|[Dd]esde|[Aa] partir de)(?![A-Za-z])"
+const FROM_PRICE_PATTERN = new RegExp(
+  `${FROM_PRICE_SOURCE}\\s*:?\\s*(${PRICE_PATTERN_SOURCE})`
+)
+
+// One end of a price range; the currency is often shown on only one end
+// ("$19.99 - 49.99", "10 – 20 €")
+const PRICE_RANGE_END_SOURCE = `(?:${CURRENCY_MARKER_SOURCE})?\\s*(?:${PRICE_NUMBER_SOURCE})(?:\\s*(?:${CURRENCY_MARKER_SOURCE}))?`
+const PRICE_RANGE_SOURCE = `(${PRICE_RANGE_END_SOURCE})\\s*(?:[-–—~]|to|bis)\\s*(${PRICE_RANGE_END_SOURCE})`
+const PRICE_RANGE_PATTERN = new RegExp(PRICE_RANGE_SOURCE)
+
+// A multi-buy deal: a quantity before the price ("2 for $5", "3/$10")
+const MULTI_BUY_SOURCE = `(?<![\\d.,])(\\d{1,2})\\s*(?:for|für|pour|por|\\/)\\s*(${PRICE_PATTERN_SOURCE})`
+const MULTI_BUY_PATTERN = new RegExp(MULTI_BUY_SOURCE)
+
+// A multi-buy deal, a "from" price, a price range or a single price, for
+// scanning text
+const PRICE_LISTING_PATTERN = new RegExp(
+  `${MULTI_BUY_SOURCE}|${FROM_PRICE_SOURCE}\\s*:?\\s*(?:${PRICE_PATTERN_SOURCE})|${PRICE_RANGE_SOURCE}|${PRICE_PATTERN_SOURCE}`,
+  "g"
+)
+const PRICE_LISTING_TEXT_PATTERN = new RegExp(PRICE_LISTING_PATTERN.source)
+
+// Words for billing periods written after a price, by period. Units need a
+// word like "/", "per" or "a" before them ("/mo", "per year", "a week");
+// adverbs stand alone ("monthly", "jährlich").
+const BILLING_PERIOD_UNITS = {
+  day: ["day", "tag", "jour", "día"],
+  week: ["wk", "week", "woche", "semaine", "semana"],
+  month: ["mo", "mth", "month", "monat", "mois", "mes"],
+  quarter: ["qtr", "quarter", "quartal"],
+  year: ["yr", "year", "jahr", "an", "année", "año"],
+}
+const BILLING_PERIOD_ADVERBS = {
+  day: ["daily", "täglich"],
+  week: ["weekly", "wöchentlich"],
+  month: ["monthly", "monatlich", "mensuel", "mensual"],
+  quarter: ["quarterly", "vierteljährlich"],
+  year: ["yearly", "annually", "annual", "jährlich", "annuel", "anual"],
+}
+const BILLING_PERIOD_WORDS = {}
+Object.entries(BILLING_PERIOD_UNITS)
+  .concat(Object.entries(BILLING_PERIOD_ADVERBS))
+  .forEach(([period, words]) => {
+    words.forEach((word) => {
+      BILLING_PERIOD_WORDS[word] = period
+    })
+  })
+const BILLING_PERIOD_PATTERN = new RegExp(
+  "^\\s*(?:(?:billed|paid|charged)\\s+)?(?:" +
+    `(?:\\/\\s*|(?:per|pro|par|al|an?|each|every)\\s+)(${sortByLength(Object.values(BILLING_PERIOD_UNITS).flat())})` +
+    `|(${sortByLength(Object.values(BILLING_PERIOD_ADVERBS).flat())})` +
+    ")(?![\\p{L}])",
+  "iu"
+)
+
+// Units a price can be quoted per ("$3.99/lb", "€2,49 per kg"), keyed by
+// the label shown in badges
+const PRICE_UNITS = {
+  lb: ["lb", "pound"],
+  oz: ["oz", "ounce"],
+  "fl oz": ["fl oz", "fl. oz", "fl.oz"],
+  kg: ["kg", "kilo", "kilogram"],
+  g: ["g", "gram", "gramm"],
+  "100 g": ["100g", "100 g"],
+  l: ["l", "liter", "litre"],
+  ml: ["ml"],
+  "100 ml": ["100ml", "100 ml"],
+  gal: ["gal", "gallon"],
+  qt: ["qt", "quart"],
+  pt: ["pt", "pint"],
+  ft: ["ft", "foot"],
+  "sq ft": ["sq ft", "sq. ft", "sqft"],
+  m: ["m", "meter", "metre"],
+  dozen: ["dozen", "doz"],
+  item: ["ea", "each", "item", "pc", "pcs", "piece", "ct", "count", "stück"],
+}
+const PRICE_UNIT_WORDS = {}
+Object.entries(PRICE_UNITS).forEach(([label, words]) => {
+  words.forEach((word) => {
+    PRICE_UNIT_WORDS[normalizeUnitWord(word)] = label
+  })
+})
+// A unit after "/" or a word ("per kg", "a lb"); the word needs a space
+// after it so "$5 am" isn't read as "per m"
+const PRICE_UNIT_PATTERN = new RegExp(
+  "^\\s*(?:(?:\\/\\s*|(?:per|pro|je|an?)\\s+)(" +
+    sortByLength(Object.values(PRICE_UNITS).flat().map(escapeRegExpSource)) +
+    ")s?|(each|ea))\\.?(?![\\p{L}])",
+  "iu"
+)
+
+// Quantity discounts written near a price ("Buy 3, save 10%",
+// "Buy 2 get 1 free")
+const BULK_DISCOUNT_PATTERN =
+  /\bbuy\s+(\d{1,2})(?:\s*\+|\s+or\s+more)?\s*,?\s*(?:and\s+)?(?:save|get)\s+(\d{1,2}(?:[.,]\d+)?)\s*%/i
+const BUY_GET_FREE_PATTERN =
+  /\bbuy\s+(\d{1,2})\s*,?\s*get\s+(\d{1,2})\s+free\b/i
+
+// Labels written before a crossed-out list price ("Was $20", "List Price:")
+const LIST_PRICE_LABEL_PATTERN =
+  /\b(?:was|list(?:\s+price)?|reg(?:ular)?(?:\s+price)?|orig(?:inal(?:ly)?)?(?:\s+price)?|compare\s+at|msrp|rrp|uvp|statt|vorher|avant|au\s+lieu\s+de|antes)\.?\s*:?\s*$/i
 
-// Patterns that indicate time values (to exclude)
+// Elements that strike through the list price of a sale
+const STRIKETHROUGH_SELECTOR = "del, s, strike, [data-a-strike='true']"
+
+// How many ancestors up a list price looks for the sale price it belongs to
+const SALE_PAIR_MAX_DEPTH = 4
+
+// Work time as the extension writes it ("0.5h", "< 0.5h", "10 min/lb"),
+// which must never be read back as a price
+const WORK_TIME_PATTERN = /\d\s*(?:h|min)(?![a-z])/i
+
+// ISO code directly before or after the amount (e.g. "EUR 12", "12 EUR")
+const CURRENCY_CODE_PATTERN = /\b([A-Z]{3})\s*\S{0,3}?\s*\d|\d\s*([A-Z]{3})\b/g
+
+// Patterns that indicate time values (lower a candidate's confidence)
 const TIME_PATTERNS = [
-  /\d+\s*(h|hour|hours|hr|hrs)\s*\d*\s*(m|min|minute|minutes)?/i, // "2h 30m", "1 hour 20 minutes"
-  /\d+\s*(m|min|minute|minutes)\s*(remaining|left|until|to go)?/i, // "30 minutes", "5 min remaining"
-  /\d+\s*(s|sec|second|seconds)/i, // "30 seconds"
-  /\d+\s*(d|day|days)/i, // "2 days"
+  // Units can't run into more letters, so "12 SEK" or "5 HKD" aren't times
+  /\d+\s*(h|hour|hours|hr|hrs)(?![a-z])\s*\d*\s*(m|min|minute|minutes)?/i, // "2h 30m", "1 hour 20 minutes"
+  /\d+\s*(m|min|minute|minutes)(?![a-z])\s*(remaining|left|until|to go)?/i, // "30 minutes", "5 min remaining"
+  /\d+\s*(s|sec|second|seconds)(?![a-z])/i, // "30 seconds"
+  /\d+\s*(d|day|days)(?![a-z])/i, // "2 days"
   /(remaining|left|until|expires?|ends?)/i, // Time-related keywords
 ]
 
-// Keywords that indicate time/deal duration (to exclude)
+// Keywords that indicate time/deal duration (lower a candidate's confidence)
 const TIME_KEYWORDS = [
   "remaining",
   "left",
@@ -62,6 +279,145 @@ const TIME_KEYWORDS = [
   "timer",
 ]
 
+// Class and id words of timers and deal countdowns
+const DEAL_CONTEXT_WORDS = [
+  "time",
+  "timer",
+  "countdown",
+  "duration",
+  "deal",
+  "remaining",
+  "expires",
+  "ends",
+]
+
+// Class words of text kept off screen for screen readers
+const HIDDEN_CLASS_WORDS = ["offscreen", "sr-only", "visually-hidden"]
+
+// Navigation and sidebars, where times and counts sit next to prices
+const SIDEBAR_SELECTOR =
+  "nav, aside, [role='navigation'], [class*='sidebar'], [class*='nav'], [id*='sidebar'], [id*='nav']"
+
+// Confidence every price candidate starts from, before its signals
+const PRICE_CONFIDENCE_BASE = 0.3
+
+// How much each signal adds to or takes from a candidate's confidence
+const PRICE_SIGNAL_WEIGHTS = {
+  currency: 0.3, // Currency symbol or code in the price text
+  priceClass: 0.2, // "price" in the class or id, or a data-price attribute
+  amountClass: 0.1, // "cost", "amount" or "value" in the class or id
+  structuredData: 0.4, // Amount the store published as structured data
+  siteAdapter: 0.2, // Found by the store adapter's own rules
+  siteRule: 0.5, // Matches a price the user picked on this site
+  sidebar: -0.1, // In navigation or a sidebar
+  timeText: -0.5, // Reads like a time or countdown ("2h 30m", "ends in")
+  dealContext: -0.2, // Timer or deal class or id, without a price one
+  wrapper: -0.2, // priceToPay wrapper around the actual price
+  hidden: -0.6, // Off screen, screen reader only or aria-hidden
+  unusualAmount: -0.3, // Below 0.01 or above 100,000
+}
+
+// Lowest confidence badged at each detection sensitivity
+const SENSITIVITY_MIN_CONFIDENCE = {
+  low: 0.7,
+  medium: 0.5,
+  high: 0.3,
+}
+
+// Tie-break between overlapping candidates with the same confidence, most
+// reliable detection method first
+const PRICE_SOURCE_PRIORITY = [
+  "structured-data",
+  "composite",
+  "selector",
+  "text",
+]
+
+/**
+ * Join words into a regex alternation, longest first so "month" wins over "mo"
+ * @param {Array<string>} words - Words without regex syntax
+ * @returns {string} Regex source
+ */
+function sortByLength(words) {
+  return [...words].sort((a, b) => b.length - a.length).join("|")
+}
+
+/**
+ * Escape text for use in a regex source
+ * @param {string} text - Literal text
+ * @returns {string} Regex source matching the text
+ */
+function escapeRegExpSource(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")
+}
+
+/**
+ * Normalize a unit word for lookup ("Fl. Oz" and "fl oz" are the same)
+ * @param {string} word - Unit word as written
+ * @returns {string} Lowercase word without spaces or dots
+ */
+function normalizeUnitWord(word) {
+  return word.toLowerCase().replace(/[\s.]/g, "")
+}
+
+/**
+ * Build a regex source matching any of the given currency symbols
+ * Longer symbols come first so "R$" wins over "$". Symbols made of Latin
+ * letters ("kr", "zł") must stand apart from other letters.
+ * @param {Array<string>} symbols - Currency symbols
+ * @returns {string} Regex source
+ */
+function buildCurrencySymbolSource(symbols) {
+  return [...symbols]
+    .sort((a, b) => b.length - a.length)
+    .map((symbol) => {
+      const escaped = escapeRegExpSource(symbol)
+      return /[A-Za-z]/.test(symbol)
+        ? `(?<![A-Za-z])${escaped}(?![A-Za-z])`
+        : escaped
+    })
+    .join("|")
+}
+
+/**
+ * Build a regex source matching ISO 4217 currency codes as whole words
+ * @returns {string} Regex source
+ */
+function buildCurrencyCodeSource() {
+  const codes = [...KNOWN_CURRENCY_CODES].filter(
+    (code) => !AMBIGUOUS_CURRENCY_CODES.has(code)
+  )
+  return `\\b(?:${codes.join("|")})\\b`
+}
+
+/**
+ * Check if a code in price text names a currency
+ * @param {string} code - Three uppercase letters
+ * @returns {boolean} True if the code is a currency code
+ */
+function isPriceCurrencyCode(code) {
+  return KNOWN_CURRENCY_CODES.has(code) && !AMBIGUOUS_CURRENCY_CODES.has(code)
+}
+
+/**
+ * Check if text contains a currency symbol or code
+ * @param {string} text - The text to check
+ * @returns {boolean} True if a currency is shown
+ */
+function hasCurrencyMarker(text) {
+  return CURRENCY_MARKER_PATTERN.test(text)
+}
+
+/**
+ * Check if text contains a price with a currency (used to spot new prices
+ * in added content)
+ * @param {string} text - The text to check
+ * @returns {boolean} True if the text has a price
+ */
+function hasPriceText(text) {
+  return PRICE_TEXT_PATTERN.test(text)
+}
+
 /**
  * Check if text contains time-related patterns
  * @param {string} text - The text to check
@@ -90,7 +446,7 @@ function isTimeValue(text) {
 
   // Check for common time formats without currency
   // Pattern: number followed by h/m/s without $ sign
-  if (/^\d+\s*[hms]/.test(text.trim()) && !/[\$€£¥]/.test(text)) {
+  if (/^\d+\s*[hms]/.test(text.trim()) && !hasCurrencyMarker(text)) {
     return true
   }
 
@@ -98,293 +454,1513 @@ function isTimeValue(text) {
 }
 
 /**
- * Check if element is likely a price element (not time/deal duration)
+ * Check if an element is one of our own badges
  * @param {HTMLElement} element - The element to check
- * @returns {boolean} True if element appears to be a price
+ * @returns {boolean} True for badges and the elements inside them
  */
-function isPriceElement(element) {
-  if (!element) return false
+function isOwnBadge(element) {
+  return element.closest(".price-hours-badge") !== null
+}
 
-  // Exclude our own badge elements
+/**
+ * Score how likely a candidate is to be a price
+ * Each signal found adds its weight (PRICE_SIGNAL_WEIGHTS) to a base
+ * confidence. The total is clamped to 0–1 and rounded, so the same evidence
+ * always gives the same score.
+ * @param {HTMLElement} element - Candidate price element
+ * @param {string} text - Text the price was read from
+ * @param {number} price - The parsed amount
+ * @param {string} source - Detection method (see createPriceObject)
+ * @param {Object} context - Page context
+ * @param {Object} context.adapter - The site's adapter
+ * @param {Array<string>} context.pickedSelectors - Prices the user picked
+ *   on this site
+ * @returns {{confidence: number, signals: Array<string>}} Confidence from 0
+ *   to 1, and the names of the signals found
+ */
+function scorePriceCandidate(element, text, price, source, context) {
+  const className = (element.getAttribute("class") || "").toLowerCase()
+  const id = (element.id || "").toLowerCase()
+  const hasPriceClass =
+    className.includes("price") ||
+    id.includes("price") ||
+    element.hasAttribute("data-price")
+
+  const signals = []
+  if (hasCurrencyMarker(text)) {
+    signals.push("currency")
+  }
+  if (hasPriceClass) {
+    signals.push("priceClass")
+  } else if (/cost|amount|value/.test(`${className} ${id}`)) {
+    signals.push("amountClass")
+  }
+  if (source === "structured-data") {
+    signals.push("structuredData")
+  }
   if (
-    element.classList.contains("price-hours-badge") ||
-    element.closest(".price-hours-badge")
+    context.adapter.name !== GENERIC_SITE_ADAPTER.name &&
+    (source === "composite" || source === "selector")
   ) {
-    return false
+    signals.push("siteAdapter")
+  }
+  if (context.pickedSelectors.some((selector) => element.matches(selector))) {
+    signals.push("siteRule")
+  }
+  if (element.closest(SIDEBAR_SELECTOR)) {
+    signals.push("sidebar")
+  }
+  if (isTimeValue(text)) {
+    signals.push("timeText")
   }
-
-  // Exclude offscreen/hidden elements (like aok-offscreen)
-  const className = (element.className || "").toLowerCase()
   if (
-    className.includes("offscreen") ||
-    className.includes("sr-only") ||
-    className.includes("visually-hidden") ||
+    !hasPriceClass &&
+    DEAL_CONTEXT_WORDS.some(
+      (word) => className.includes(word) || id.includes(word)
+    )
+  ) {
+    signals.push("dealContext")
+  }
+  if (className.includes("pricetopay")) {
+    signals.push("wrapper")
+  }
+  if (
+    HIDDEN_CLASS_WORDS.some((word) => className.includes(word)) ||
     element.getAttribute("aria-hidden") === "true"
   ) {
-    return false
+    signals.push("hidden")
+  }
+  if (price < 0.01 || price > 100000) {
+    signals.push("unusualAmount")
   }
 
-  // Exclude priceToPay elements - these are usually containers, not the actual price
-  if (className.includes("pricetopay")) {
+  const total = signals.reduce(
+    (sum, signal) => sum + PRICE_SIGNAL_WEIGHTS[signal],
+    PRICE_CONFIDENCE_BASE
+  )
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, total)) * 100) / 100,
+    signals,
+  }
+}
+
+/**
+ * Keep one price from each group of overlapping candidates
+ * Candidates overlap when one element is or contains the other. The highest
+ * confidence wins; ties go to the more reliable detection method, then the
+ * innermost element, then the candidate found first. List prices only
+ * compete with list prices, so a sale price and the crossed-out price it
+ * replaces both stay for pairSalePrices.
+ * @param {Array<Object>} prices - Price objects with confidence set
+ * @returns {Array<Object>} The winning price objects, in the order found
+ */
+function resolveOverlappingPrices(prices) {
+  const ranked = prices.map((priceObj, index) => {
+    let depth = 0
+    for (let node = priceObj.element; node; node = node.parentElement) {
+      depth++
+    }
+    return {
+      priceObj,
+      index,
+      depth,
+      priority: PRICE_SOURCE_PRIORITY.indexOf(priceObj.source),
+    }
+  })
+  ranked.sort(
+    (a, b) =>
+      b.priceObj.confidence - a.priceObj.confidence ||
+      a.priority - b.priority ||
+      b.depth - a.depth ||
+      a.index - b.index
+  )
+
+  // Kept elements and their ancestors, by whether they are list prices, so
+  // each candidate is checked by walking up its own ancestors once (long
+  // category pages have thousands of candidates)
+  const kept = new Set()
+  const keptElements = { true: new Set(), false: new Set() }
+  const keptAncestors = { true: new Set(), false: new Set() }
+  ranked.forEach(({ priceObj }) => {
+    const group = Boolean(priceObj.isListPrice)
+    let overlaps = keptAncestors[group].has(priceObj.element)
+    for (
+      let node = priceObj.element;
+      node && !overlaps;
+      node = node.parentElement
+    ) {
+      overlaps = keptElements[group].has(node)
+    }
+    if (overlaps) {
+      return
+    }
+
+    kept.add(priceObj)
+    keptElements[group].add(priceObj.element)
+    for (
+      let node = priceObj.element.parentElement;
+      node && !keptAncestors[group].has(node);
+      node = node.parentElement
+    ) {
+      keptAncestors[group].add(node)
+    }
+  })
+  return prices.filter((priceObj) => kept.has(priceObj))
+}
+
+/**
+ * Check if a price element shows a crossed-out list price rather than the
+ * price to pay
+ * @param {HTMLElement} element - The price element
+ * @param {string} textBefore - Text in the element before the price
+ * @returns {boolean} True for struck-through or "was"-labelled prices
+ */
+function isListPriceElement(element, textBefore = "") {
+  if (element.closest(STRIKETHROUGH_SELECTOR)) {
+    return true
+  }
+
+  // Text decoration isn't inherited, so check the nearest ancestors too
+  let current = element
+  for (let depth = 0; current && depth < 3; depth++) {
+    const decoration = window.getComputedStyle(current).textDecorationLine
+    if (decoration && decoration.includes("line-through")) {
+      return true
+    }
+    current = current.parentElement
+  }
+
+  if (LIST_PRICE_LABEL_PATTERN.test(textBefore)) {
+    return true
+  }
+  const label = element.previousElementSibling
+  const labelText = label ? label.textContent || "" : ""
+  return labelText.length < 40 && LIST_PRICE_LABEL_PATTERN.test(labelText)
+}
+
+/**
+ * Get an element's text without any struck-through list price inside it, so
+ * a container showing "<del>$20</del> $15" reads as $15
+ * @param {HTMLElement} element - The price element
+ * @returns {string} Text content
+ */
+function getCurrentPriceText(element) {
+  const text = element.textContent || element.innerText || ""
+  if (!element.querySelector(STRIKETHROUGH_SELECTOR)) {
+    return text
+  }
+  const clone = element.cloneNode(true)
+  clone
+    .querySelectorAll(STRIKETHROUGH_SELECTOR)
+    .forEach((struck) => struck.remove())
+  return clone.textContent || ""
+}
+
+/**
+ * Read the full price text of a price split across sibling elements
+ * Joins the parts in order, adding a decimal point before a two-digit part
+ * that directly follows digits (raised cents such as "12" + "97").
+ * @param {HTMLElement} container - Element holding the price parts
+ * @param {{value: string|null, skip: string|null}} composite - Entry from
+ *   a site adapter's composites
+ * @returns {string} Price text (e.g. "$12.97"), or "" if there is none
+ */
+function resolveCompositePriceText(container, composite) {
+  const valueElement = composite.value
+    ? container.querySelector(composite.value)
+    : null
+  const value = valueElement ? (valueElement.textContent || "").trim() : ""
+  if (value && hasCurrencyMarker(value) && PRICE_NUMBER_PATTERN.test(value)) {
+    return value
+  }
+
+  let text = ""
+  const walker = document.createTreeWalker(
+    container,
+    NodeFilter.SHOW_TEXT,
+    null,
+    false
+  )
+  let node
+  while ((node = walker.nextNode())) {
+    if (
+      composite.skip &&
+      node.parentElement &&
+      node.parentElement.closest(composite.skip)
+    ) {
+      continue
+    }
+    const part = node.textContent.trim()
+    if (/^\d{2}$/.test(part) && /\d$/.test(text)) {
+      text += "."
+    }
+    text += part
+  }
+  return text
+}
+
+/**
+ * Get the document of a same-origin frame
+ * @param {HTMLIFrameElement|HTMLFrameElement} frame - Frame element
+ * @returns {Document|null} The frame's document, or null for cross-origin
+ *   frames and frames that haven't loaded
+ */
+function getFrameDocument(frame) {
+  try {
+    const frameDocument = frame.contentDocument
+    return frameDocument && frameDocument.body ? frameDocument : null
+  } catch (error) {
+    // Cross-origin frames can't be read
+    return null
+  }
+}
+
+/**
+ * List the places prices are searched: a document, then every open shadow
+ * root and same-origin frame document inside it, nested ones included
+ * Selectors and tree walkers don't cross these boundaries, so each root is
+ * searched on its own. Closed shadow roots and cross-origin frames can't be
+ * read and are left out.
+ * @param {Document|ShadowRoot|HTMLElement} root - Where to start (defaults
+ *   to the page); an element stands for its own subtree
+ * @returns {Array<Document|ShadowRoot|HTMLElement>} Roots, outermost first
+ */
+function getSearchRoots(root = document) {
+  const roots = [root]
+  const elements =
+    root.nodeType === Node.ELEMENT_NODE
+      ? [root, ...root.querySelectorAll("*")]
+      : root.querySelectorAll("*")
+  elements.forEach((element) => {
+    if (element.shadowRoot) {
+      roots.push(...getSearchRoots(element.shadowRoot))
+    }
+    if (element.tagName === "IFRAME" || element.tagName === "FRAME") {
+      const frameDocument = getFrameDocument(element)
+      if (frameDocument) {
+        roots.push(...getSearchRoots(frameDocument))
+      }
+    }
+  })
+  return roots
+}
+
+/**
+ * Find matching elements in every search root
+ * @param {Array<Document|ShadowRoot|HTMLElement>} roots - Roots from
+ *   getSearchRoots
+ * @param {string} selector - CSS selector
+ * @returns {Array<HTMLElement>} Matches, root by root in document order
+ *   (element roots included)
+ */
+function querySelectorAllInRoots(roots, selector) {
+  return roots.flatMap((root) => [
+    ...(root.nodeType === Node.ELEMENT_NODE && root.matches(selector)
+      ? [root]
+      : []),
+    ...root.querySelectorAll(selector),
+  ])
+}
+
+/**
+ * Find the closest ancestor matching a selector, continuing past shadow
+ * hosts and frame elements into the page around them
+ * @param {HTMLElement} element - Element to start from
+ * @param {string} selector - CSS selector
+ * @returns {HTMLElement|null} The matching ancestor, or null
+ */
+function closestAcrossRoots(element, selector) {
+  let current = element
+  while (current) {
+    const match = current.closest(selector)
+    if (match) {
+      return match
+    }
+    const root = current.getRootNode()
+    current =
+      root.host || (root.defaultView && root.defaultView.frameElement) || null
+  }
+  return null
+}
+
+/**
+ * Check if an element is part of a split price that was already read whole
+ * @param {HTMLElement} element - Element to check
+ * @param {Set<HTMLElement>} foundElements - Elements already detected
+ * @param {Object} adapter - The site's adapter
+ * @returns {boolean} True if the element is inside a detected composite price
+ */
+function isInsideFoundComposite(element, foundElements, adapter) {
+  if (adapter.composites.length === 0) {
     return false
   }
+  const container = element.closest(
+    adapter.composites.map((composite) => composite.container).join(", ")
+  )
+  return container !== null && foundElements.has(container)
+}
 
-  // Check if element is in sidebar/navigation (often contains time values)
-  const isInSidebar =
-    element.closest(
-      "nav, aside, [role='navigation'], [class*='sidebar'], [class*='nav'], [id*='sidebar'], [id*='nav']"
-    ) !== null
+/**
+ * Check if an element is in an area of the page the site's adapter excludes
+ * @param {HTMLElement} element - Element to check
+ * @param {Object} adapter - The site's adapter
+ * @returns {boolean} True if prices in the element shouldn't be badged,
+ *   including inside shadow roots and frames within an excluded area
+ */
+function isExcludedBySite(element, adapter) {
+  return (
+    adapter.exclude.length > 0 &&
+    closestAcrossRoots(element, adapter.exclude.join(", ")) !== null
+  )
+}
 
-  const id = (element.id || "").toLowerCase()
-  const text = (element.textContent || "").toLowerCase()
-
-  // Exclude elements with time/deal-related classes
-  const excludePatterns = [
-    "time",
-    "timer",
-    "countdown",
-    "duration",
-    "deal",
-    "remaining",
-    "expires",
-    "ends",
+/**
+ * Build an offer read from structured data
+ * @param {*} amount - Price as published (number or string)
+ * @param {*} currency - ISO currency code as published
+ * @param {*} availability - schema.org availability as published
+ * @param {HTMLElement|null} element - Element carrying the price, for
+ *   microdata
+ * @returns {{price: number, currency: string|null, availability: string|null, element: HTMLElement|null}|null}
+ *   The offer, or null if it has no valid price
+ */
+function createStructuredOffer(amount, currency, availability, element = null) {
+  if (amount === undefined || amount === null) {
+    return null
+  }
+
+  const code = currency ? String(currency).trim().toUpperCase() : ""
+  const validCurrency = isPriceCurrencyCode(code) ? code : null
+  const text = String(amount).trim()
+  // schema.org prices use a dot for decimals; anything else is read like
+  // a visible price
+  const price = /^\d+(?:\.\d+)?$/.test(text)
+    ? parseFloat(text)
+    : parsePriceNumber(text, getPageLocale(), validCurrency)
+  if (price === null || !(price > 0)) {
+    return null
+  }
+
+  return {
+    price: price,
+    currency: validCurrency,
+    // "https://schema.org/InStock" -> "InStock"
+    availability: availability
+      ? String(availability).trim().replace(/^.*\//, "") || null
+      : null,
+    element: element,
+  }
+}
+
+/**
+ * Collect offers from a parsed JSON-LD value
+ * Walks nested objects, arrays and @graph lists; Offer and AggregateOffer
+ * nodes (the latter by their lowest price) become offers.
+ * @param {*} node - Parsed JSON-LD value
+ * @param {Array<Object>} offers - Offers found so far, added to
+ * @param {number} depth - Nesting depth, to stop on unusually deep data
+ */
+function collectJsonLdOffers(node, offers, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 8) {
+    return
+  }
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectJsonLdOffers(item, offers, depth + 1))
+    return
+  }
+
+  const types = [].concat(node["@type"] || [])
+  if (types.includes("Offer") || types.includes("AggregateOffer")) {
+    const specification = [].concat(node.priceSpecification || [])[0] || {}
+    const offer = createStructuredOffer(
+      node.price ?? node.lowPrice ?? specification.price,
+      node.priceCurrency ?? specification.priceCurrency,
+      node.availability
+    )
+    if (offer) {
+      offers.push(offer)
+    }
+    return
+  }
+
+  Object.values(node).forEach((value) =>
+    collectJsonLdOffers(value, offers, depth + 1)
+  )
+}
+
+/**
+ * Read the prices a page publishes as structured data
+ * Microdata comes first since it marks the visible element, then JSON-LD,
+ * then meta tags. Offers with the same price and currency are kept once.
+ * @returns {Array<{price: number, currency: string|null, availability: string|null, element: HTMLElement|null}>}
+ *   Offers (see createStructuredOffer)
+ */
+function readStructuredOffers() {
+  const offers = []
+
+  // Microdata: itemprop="price", with currency and availability in the
+  // same item
+  document.querySelectorAll("[itemprop='price']").forEach((element) => {
+    const scope = element.closest("[itemscope]") || document
+    const readProperty = (name) => {
+      const property = scope.querySelector(`[itemprop='${name}']`)
+      return property
+        ? property.getAttribute("content") ||
+            property.getAttribute("href") ||
+            property.textContent
+        : null
+    }
+    const offer = createStructuredOffer(
+      element.getAttribute("content") || element.textContent,
+      readProperty("priceCurrency"),
+      readProperty("availability"),
+      element
+    )
+    if (offer) {
+      offers.push(offer)
+    }
+  })
+
+  document
+    .querySelectorAll("script[type='application/ld+json']")
+    .forEach((script) => {
+      let data
+      try {
+        data = JSON.parse(script.textContent)
+      } catch (error) {
+        // Malformed data on the page, skip
+        return
+      }
+      collectJsonLdOffers(data, offers)
+    })
+
+  STRUCTURED_PRICE_META.forEach((meta) => {
+    const amount = document.querySelector(`meta[property='${meta.amount}']`)
+    const currency = document.querySelector(`meta[property='${meta.currency}']`)
+    const offer = amount
+      ? createStructuredOffer(
+          amount.getAttribute("content"),
+          currency ? currency.getAttribute("content") : null,
+          null
+        )
+      : null
+    if (offer) {
+      offers.push(offer)
+    }
+  })
+
+  const seen = new Set()
+  return offers
+    .filter((offer) => {
+      const key = `${offer.price}|${offer.currency}`
+      if (seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+    .slice(0, STRUCTURED_OFFER_LIMIT)
+}
+
+/**
+ * Read the price text shown by a candidate price element
+ * @param {HTMLElement} element - A price element or split price container
+ * @param {Object} adapter - The site's adapter
+ * @returns {string} Price text
+ */
+function readVisiblePriceText(element, adapter) {
+  const composite = adapter.composites.find((entry) =>
+    element.matches(entry.container)
+  )
+  return composite
+    ? resolveCompositePriceText(element, composite)
+    : getCurrentPriceText(element)
+}
+
+/**
+ * Read the visible elements that may show a structured-data offer
+ * The offers' microdata elements, then split price containers and price
+ * selectors. Read once for all offers, since the query and the layout
+ * checks are the costly part.
+ * @param {Array<Object>} offers - Offers from readStructuredOffers
+ * @param {Object} adapter - The site's adapter
+ * @param {Array<Document|ShadowRoot|HTMLElement>} roots - Roots being
+ *   searched (see getSearchRoots)
+ * @param {Object} slicer - Slicer of the scan (see createScanSlicer)
+ * @returns {Promise<Array<{element: HTMLElement, text: string}>|null>} The
+ *   elements and their price text, or null if the scan was cancelled
+ */
+async function readStructuredCandidates(offers, adapter, roots, slicer) {
+  const selectors = [
+    ...adapter.composites.map((composite) => composite.container),
+    ...adapter.selectors,
   ]
+  const elements = new Set([
+    ...offers
+      .map((offer) => offer.element)
+      .filter(
+        (element) => element && roots.some((root) => root.contains(element))
+      ),
+    ...(selectors.length > 0
+      ? querySelectorAllInRoots(roots, selectors.join(", "))
+      : []),
+  ])
 
-  for (const pattern of excludePatterns) {
+  const candidates = []
+  for (const element of elements) {
+    if (!(await slicer.checkpoint())) return null
     if (
-      className.includes(pattern) ||
-      id.includes(pattern) ||
-      text.includes(pattern)
+      element.tagName === "META" ||
+      isExcludedBySite(element, adapter) ||
+      element.getClientRects().length === 0 ||
+      isOwnBadge(element) ||
+      isListPriceElement(element)
     ) {
-      // But allow if it's clearly a price element
-      if (
-        !className.includes("price") &&
-        !id.includes("price") &&
-        !element.hasAttribute("data-price")
+      continue
+    }
+    candidates.push({ element, text: readVisiblePriceText(element, adapter) })
+  }
+  return candidates
+}
+
+/**
+ * Find the visible element showing a structured-data offer
+ * Looks for a candidate whose visible current price equals the offer's.
+ * When nested elements match, the innermost one is used.
+ * @param {Object} offer - Offer from readStructuredOffers
+ * @param {Array<{element: HTMLElement, text: string}>} candidates - From
+ *   readStructuredCandidates
+ * @param {Set<HTMLElement>} foundElements - Elements already detected
+ * @param {string} locale - Page locale
+ * @param {Object} adapter - The site's adapter
+ * @param {Object} slicer - Slicer of the scan (see createScanSlicer)
+ * @returns {Promise<{element: HTMLElement, text: string, listing: Object}|null|false>}
+ *   The element, its price text and parsed listing; null if none shows it,
+ *   or false if the scan was cancelled
+ */
+async function findStructuredPriceElement(
+  offer,
+  candidates,
+  foundElements,
+  locale,
+  adapter,
+  slicer
+) {
+  const matches = []
+  for (const { element, text } of candidates) {
+    if (!(await slicer.checkpoint())) return false
+    if (
+      foundElements.has(element) ||
+      isInsideFoundComposite(element, foundElements, adapter)
+    ) {
+      continue
+    }
+
+    const listing = parsePriceListing(text, {
+      locale,
+      currency: offer.currency,
+    })
+    if (listing !== null && Math.abs(listing.price - offer.price) < 0.005) {
+      matches.push({ element, text, listing })
+    }
+  }
+
+  return (
+    matches.find(
+      (match) =>
+        !matches.some(
+          (other) => other !== match && match.element.contains(other.element)
+        )
+    ) || null
+  )
+}
+
+/**
+ * Pair list prices with the sale prices shown next to them
+ * Each list price is matched to the first lower price in the same currency
+ * under its nearest shared ancestor. Paired sale prices get the list price
+ * as listPrice; list prices are dropped, since nobody pays them.
+ * @param {Array<Object>} prices - Price objects from detectPrices, with
+ *   isListPrice set on list prices
+ * @returns {Array<Object>} Price objects without list prices
+ */
+function pairSalePrices(prices) {
+  const currentPrices = prices.filter((p) => !p.isListPrice)
+  const listPrices = prices.filter((p) => p.isListPrice)
+
+  // The ancestors each list price may share with its sale price, nearest
+  // first
+  const listAncestors = listPrices.map((listPriceObj) => {
+    const ancestors = []
+    let ancestor = listPriceObj.element.parentElement
+    while (
+      ancestor &&
+      ancestor !== document.body &&
+      ancestors.length < SALE_PAIR_MAX_DEPTH
+    ) {
+      ancestors.push(ancestor)
+      ancestor = ancestor.parentElement
+    }
+    return ancestors
+  })
+
+  // Group the possible sale prices under those ancestors, in page order, so
+  // a list price only looks at the prices of its own listing instead of
+  // every price on the page
+  const candidatesByAncestor = new Map(
+    listAncestors.flat().map((ancestor) => [ancestor, []])
+  )
+  currentPrices
+    .filter((p) => p.min === undefined)
+    .forEach((p) => {
+      for (
+        let node = p.element;
+        node && node !== document.body;
+        node = node.parentElement
       ) {
-        return false
+        candidatesByAncestor.get(node)?.push(p)
+      }
+    })
+
+  listPrices.forEach((listPriceObj, index) => {
+    for (const ancestor of listAncestors[index]) {
+      const sale = candidatesByAncestor
+        .get(ancestor)
+        .find(
+          (p) =>
+            p.listPrice === undefined &&
+            p.currency === listPriceObj.currency &&
+            p.price < listPriceObj.price
+        )
+      if (sale) {
+        sale.listPrice = listPriceObj.price
+        return
       }
     }
-  }
+  })
 
-  // Exclude sidebar elements that contain time patterns (but allow product prices in sidebars)
-  if (isInSidebar) {
-    // Check if the text content looks like time
-    if (isTimeValue(text)) {
-      return false
+  currentPrices.forEach((p) => delete p.isListPrice)
+  return currentPrices
+}
+
+/**
+ * Get the digit-group and decimal separators a locale writes numbers with
+ * @param {string} locale - BCP 47 language tag (e.g. "de-DE")
+ * @returns {{group: string, decimal: string}} Separator characters
+ */
+function getLocaleSeparators(locale) {
+  try {
+    const parts = new Intl.NumberFormat(locale || undefined).formatToParts(
+      12345.6
+    )
+    return {
+      group: parts.find((part) => part.type === "group")?.value || ",",
+      decimal: parts.find((part) => part.type === "decimal")?.value || ".",
     }
-    // Allow if it has strong price indicators (product prices can be in sidebars)
-    const hasPriceIndicator =
-      className.includes("price") ||
-      id.includes("price") ||
-      element.hasAttribute("data-price") ||
-      element.closest('[class*="price"]') !== null ||
-      /[\$€£¥]/.test(text) // Has currency symbol
+  } catch (error) {
+    // Invalid or unsupported language tag
+    return { group: ",", decimal: "." }
+  }
+}
+
+/**
+ * Get how many decimal places a currency's prices have
+ * @param {string|null} currency - ISO 4217 currency code
+ * @returns {number} Fraction digits (0 for JPY/KRW, 3 for KWD, usually 2)
+ */
+function getCurrencyFractionDigits(currency) {
+  if (!currency) {
+    return 2
+  }
+  try {
+    return new Intl.NumberFormat("en", {
+      style: "currency",
+      currency,
+    }).resolvedOptions().maximumFractionDigits
+  } catch (error) {
+    return 2
+  }
+}
 
-    if (!hasPriceIndicator && isTimeValue(text)) {
-      return false
+/**
+ * Decide whether a separator that appears once is a decimal separator
+ * Anything other than three digits after it must be decimals. Three digits
+ * are a thousands group unless the currency has three decimal places, in
+ * which case the page locale decides.
+ * @param {string} separator - "." or ","
+ * @param {number} digitsAfter - Digits following the separator
+ * @param {{group: string, decimal: string}} separators - Locale separators
+ * @param {number} fractionDigits - Decimal places of the price's currency
+ * @returns {boolean} True if the separator marks decimals
+ */
+function isDecimalSeparator(
+  separator,
+  digitsAfter,
+  separators,
+  fractionDigits
+) {
+  if (digitsAfter !== 3) {
+    return true
+  }
+  if (fractionDigits < 3) {
+    return false
+  }
+  return separator !== separators.group
+}
+
+/**
+ * Read the amount from a price string written in any common number format
+ * Handles "1,234.56", "1.234,56", "1 234,56" (with no-break or narrow
+ * no-break spaces), Swiss "1'234.50", Indian "1,00,000" and zero-decimal
+ * currencies like "¥1,200". When both "." and "," appear, the last one is
+ * the decimal separator; a separator repeated in the amount only groups
+ * digits.
+ * @param {string} text - Price text
+ * @param {string} locale - Page language tag, used for ambiguous amounts
+ * @param {string|null} currency - ISO 4217 code of the price, if known
+ * @returns {number|null} The amount, or null if the text has no number
+ */
+function parsePriceNumber(text, locale, currency) {
+  const match = text.match(PRICE_NUMBER_PATTERN)
+  if (!match) {
+    return null
+  }
+
+  const separators = getLocaleSeparators(locale)
+  let amount = match[0]
+
+  // A plain space only groups digits in locales that group with spaces;
+  // elsewhere it ends the amount ("$5 100 items" is $5)
+  if (amount.includes(" ") && !/\s/.test(separators.group)) {
+    amount = amount.split(" ")[0]
+  }
+  amount = amount.replace(GROUP_ONLY_SEPARATORS, "")
+
+  const lastDot = amount.lastIndexOf(".")
+  const lastComma = amount.lastIndexOf(",")
+  let decimalIndex = -1
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalIndex = Math.max(lastDot, lastComma)
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? "." : ","
+    const index = Math.max(lastDot, lastComma)
+    const isRepeated = amount.indexOf(separator) !== index
+    const digitsAfter = amount.length - index - 1
+    if (
+      !isRepeated &&
+      isDecimalSeparator(
+        separator,
+        digitsAfter,
+        separators,
+        getCurrencyFractionDigits(currency)
+      )
+    ) {
+      decimalIndex = index
     }
   }
 
-  return true
+  const integerPart =
+    decimalIndex === -1 ? amount : amount.slice(0, decimalIndex)
+  const fractionPart = decimalIndex === -1 ? "" : amount.slice(decimalIndex + 1)
+  const normalized = `${integerPart.replace(/[.,]/g, "")}.${fractionPart || 0}`
+
+  const value = parseFloat(normalized)
+  return isNaN(value) ? null : value
+}
+
+/**
+ * Get the language tag used to read ambiguous price numbers on this page
+ * @returns {string} Page language, or the browser's if the page has none
+ */
+function getPageLocale() {
+  return document.documentElement.lang || navigator.language || "en"
 }
 
 /**
  * Extract numeric value from price string
+ * Only the number is checked here; whether the text is a price at all is
+ * scored by scorePriceCandidate.
  * @param {string} priceText - The price text to parse
- * @param {HTMLElement} element - Optional element for context
+ * @param {Object} context - Optional number format context
+ * @param {string} context.locale - Page language tag (defaults to the page's)
+ * @param {string|null} context.currency - Currency of the price, if known
  * @returns {number|null} The numeric price value, or null if invalid
  */
-function parsePrice(priceText, element = null) {
+function parsePrice(priceText, context = {}) {
   if (!priceText || typeof priceText !== "string") {
     return null
   }
 
-  // Check if this looks like a time value
-  if (isTimeValue(priceText)) {
+  const price = parsePriceNumber(
+    priceText,
+    context.locale || getPageLocale(),
+    context.currency || null
+  )
+
+  // Validate price is a reasonable number
+  if (price === null || price < 0 || price > 10000000) {
     return null
   }
 
-  // Check element context if provided
-  if (element && !isPriceElement(element)) {
+  return price
+}
+
+/**
+ * Read a price, a price range, a "from" price or a multi-buy deal from text
+ * Ranges must show a currency on at least one end and go from low to high.
+ * @param {string} text - The price text to parse
+ * @param {Object} context - Optional number format context (see parsePrice)
+ * @returns {{price: number, min?: number, max?: number|null, deal?: Object}|null}
+ *   The price (the low end for ranges, the total for multi-buys), plus min
+ *   and max for ranges (max is null for "from" prices) and the deal for
+ *   multi-buys. Null if the text has no valid price, or is a work time
+ *   such as "0.5h".
+ */
+function parsePriceListing(text, context = {}) {
+  // Hours shown by replace mode or a badge, not an unlabelled price
+  if (!hasCurrencyMarker(text) && WORK_TIME_PATTERN.test(text)) {
     return null
   }
 
-  // Must contain currency symbol for better accuracy
-  const hasCurrency = /[\$€£¥]/.test(priceText)
-  if (!hasCurrency) {
-    // Only accept without currency if element has price-related attributes/classes
-    if (
-      element &&
-      !element.className.match(/price|Price|cost|amount|value/i) &&
-      !element.id.match(/price|Price|cost|amount|value/i) &&
-      !element.hasAttribute("data-price")
-    ) {
-      return null
+  const multiBuyMatch = text.match(MULTI_BUY_PATTERN)
+  if (multiBuyMatch) {
+    const quantity = parseInt(multiBuyMatch[1], 10)
+    const total = parsePrice(multiBuyMatch[2], context)
+    if (total !== null && total > 0 && quantity >= 2) {
+      return {
+        price: total,
+        deal: { type: "multi-buy", quantity, itemPrice: total / quantity },
+      }
+    }
+    if (total !== null && total > 0) {
+      return { price: total }
     }
   }
 
-  // Remove currency symbols and whitespace
-  const cleaned = priceText.trim().replace(/[\$€£¥,\s]/g, "")
+  const rangeMatch = text.match(PRICE_RANGE_PATTERN)
+  if (rangeMatch && hasCurrencyMarker(rangeMatch[0])) {
+    const min = parsePrice(rangeMatch[1], context)
+    const max = parsePrice(rangeMatch[2], context)
+    if (min !== null && max !== null && min > 0 && max > min) {
+      return { price: min, min: min, max: max }
+    }
+  }
 
-  // Handle different decimal separators
-  const normalized = cleaned.replace(/\.(?=\d{3})/g, "").replace(",", ".")
+  const fromMatch = text.match(FROM_PRICE_PATTERN)
+  if (fromMatch) {
+    const min = parsePrice(fromMatch[1], context)
+    if (min !== null && min > 0) {
+      return { price: min, min: min, max: null }
+    }
+  }
 
-  const price = parseFloat(normalized)
+  const price = parsePrice(text, context)
+  return price === null ? null : { price: price }
+}
 
-  // Validate price is a reasonable number
-  if (isNaN(price) || price < 0 || price > 10000000) {
-    return null
+/**
+ * Get the text that follows the first price in text
+ * @param {string} text - Text starting at or before the price
+ * @returns {string} Text after the price, or "" if there is no price
+ */
+function getTextAfterPrice(text) {
+  const priceMatch =
+    text.match(PRICE_LISTING_TEXT_PATTERN) || text.match(PRICE_NUMBER_PATTERN)
+  if (!priceMatch) {
+    return ""
   }
+  return text.slice(priceMatch.index + priceMatch[0].length)
+}
 
-  // Additional validation: prices should typically be between $0.01 and $100,000
-  // Very small numbers (< 0.01) or very large (> 100000) without currency context are suspicious
-  if (price < 0.01 || price > 100000) {
-    // Only accept if we have strong price context
-    if (
-      !hasCurrency &&
-      (!element ||
-        (!element.className.match(/price|Price/i) &&
-          !element.id.match(/price|Price/i)))
-    ) {
-      return null
+/**
+ * Find a unit price or quantity discount for a price
+ * @param {string} text - Text starting at or before the price
+ * @param {number} price - The price read from the text
+ * @returns {{type: string, unit?: string, quantity?: number, discountPercent?: number, itemPrice: number}|null}
+ *   A "unit" deal ("$3.99/lb", itemPrice per unit) or a "bulk-discount" deal
+ *   ("Buy 3, save 10%", itemPrice per item when buying the quantity), or
+ *   null if the price has neither
+ */
+function detectPriceDeal(text, price) {
+  const unitMatch = getTextAfterPrice(text).match(PRICE_UNIT_PATTERN)
+  if (unitMatch) {
+    const unit =
+      PRICE_UNIT_WORDS[normalizeUnitWord(unitMatch[1] || unitMatch[2])]
+    return { type: "unit", unit: unit, itemPrice: price }
+  }
+
+  const freeMatch = text.match(BUY_GET_FREE_PATTERN)
+  if (freeMatch) {
+    const paid = parseInt(freeMatch[1], 10)
+    const quantity = paid + parseInt(freeMatch[2], 10)
+    return {
+      type: "bulk-discount",
+      quantity: quantity,
+      discountPercent: (1 - paid / quantity) * 100,
+      itemPrice: (price * paid) / quantity,
     }
   }
 
-  return price
+  const discountMatch = text.match(BULK_DISCOUNT_PATTERN)
+  if (discountMatch) {
+    const discountPercent = parseFloat(discountMatch[2].replace(",", "."))
+    if (discountPercent > 0 && discountPercent < 100) {
+      return {
+        type: "bulk-discount",
+        quantity: parseInt(discountMatch[1], 10),
+        discountPercent: discountPercent,
+        itemPrice: price * (1 - discountPercent / 100),
+      }
+    }
+  }
+
+  return null
 }
 
 /**
- * Find all price elements on the page
- * @returns {Array<{element: HTMLElement, price: number, originalText: string}>} Array of price objects
+ * Build the object recorded for a detected price
+ * @param {HTMLElement} element - The price element
+ * @param {Object} listing - Result of parsePriceListing
+ * @param {string} text - Text starting at or before the price
+ * @param {string} currency - Currency of the price
+ * @param {Object} details - How the price was found
+ * @param {string} details.source - Detection method ("structured-data",
+ *   "composite", "selector" or "text")
+ * @param {string} details.originalText - Text the price was read from
+ *   (defaults to text)
+ * @param {string} details.textBefore - Text in the element before the price
+ * @param {string|null} details.availability - schema.org availability, for
+ *   prices read from structured data
+ * @param {number|null} details.confidence - Score from scorePriceCandidate
+ * @param {Array<string>} details.signals - Signals behind the score
+ * @returns {Object} Price object (see detectPrices), with isListPrice set
+ *   until pairSalePrices runs
  */
-function detectPrices() {
-  const prices = []
-  const foundElements = new Set() // Avoid duplicates
+function createPriceObject(element, listing, text, currency, details) {
+  const {
+    source,
+    originalText = text.trim(),
+    textBefore = "",
+    availability = null,
+    confidence = null,
+    signals = [],
+  } = details
+  // "/m" after a subscription price is a month, not a meter
+  const period = detectBillingPeriod(text)
+  const isSinglePrice = listing.min === undefined && period === null
+  return {
+    element: element,
+    ...listing,
+    currency: currency,
+    period: period,
+    deal:
+      listing.deal ||
+      (isSinglePrice ? detectPriceDeal(text, listing.price) : null),
+    originalText: originalText,
+    source: source,
+    availability: availability,
+    confidence: confidence,
+    signals: signals,
+    isListPrice: isListPriceElement(element, textBefore),
+  }
+}
 
-  // Method 1: Use CSS selectors (preferred method - more accurate)
-  for (const selector of PRICE_SELECTORS) {
-    try {
-      const elements = document.querySelectorAll(selector)
-      elements.forEach((element) => {
-        if (foundElements.has(element)) return
+/**
+ * Find the billing period written right after the first price in text
+ * @param {string} text - Text starting at or before the price
+ * @returns {string|null} "day", "week", "month", "quarter" or "year", or null
+ *   for a one-off price
+ */
+function detectBillingPeriod(text) {
+  const periodMatch = getTextAfterPrice(text).match(BILLING_PERIOD_PATTERN)
+  if (!periodMatch) {
+    return null
+  }
+  const word = (periodMatch[1] || periodMatch[2]).toLowerCase()
+  return BILLING_PERIOD_WORDS[word] || null
+}
 
-        // Skip if element is our own badge
-        if (
-          element.classList.contains("price-hours-badge") ||
-          element.closest(".price-hours-badge")
-        ) {
-          return
-        }
+/**
+ * Guess the currency of prices on the current page
+ * Uses the region of the page's language tag, then the domain's TLD.
+ * @returns {string|null} ISO 4217 currency code, or null if unknown
+ */
+function getPageCurrency() {
+  const lang = document.documentElement.lang || ""
+  const localeRegion = lang.split(/[-_]/)[1]
+  const localeCurrency = getRegionCurrency(localeRegion)
+  if (localeCurrency) {
+    return localeCurrency
+  }
 
-        // Skip if element is offscreen/hidden
-        const className = (element.className || "").toLowerCase()
-        if (
-          className.includes("offscreen") ||
-          className.includes("sr-only") ||
-          className.includes("visually-hidden") ||
-          element.getAttribute("aria-hidden") === "true"
-        ) {
-          return
-        }
+  const tld = window.location.hostname.split(".").pop()
+  return getRegionCurrency(tld === "uk" ? "GB" : tld)
+}
 
-        // Skip priceToPay elements
-        if (className.includes("pricetopay")) {
-          return
-        }
+/**
+ * Detect the currency of a price
+ * An ISO code in the text wins, then an unambiguous symbol. Shared symbols
+ * like "$" are resolved with the page currency, then the fallback.
+ * @param {string} priceText - The price text
+ * @param {string|null} pageCurrency - Currency from getPageCurrency
+ * @param {string} fallbackCurrency - Currency assumed when nothing else applies
+ * @returns {string} ISO 4217 currency code
+ */
+function detectPriceCurrency(priceText, pageCurrency, fallbackCurrency) {
+  for (const codeMatch of priceText.matchAll(CURRENCY_CODE_PATTERN)) {
+    const code = codeMatch[1] || codeMatch[2]
+    if (isPriceCurrencyCode(code)) {
+      return code
+    }
+  }
 
-        // Skip if element is in a time/deal context
-        if (!isPriceElement(element)) {
-          return
-        }
+  const symbolMatch = priceText.match(CURRENCY_SYMBOL_PATTERN)
+  if (symbolMatch) {
+    const symbol = symbolMatch[0]
+    if (CURRENCY_SYMBOLS[symbol]) {
+      return CURRENCY_SYMBOLS[symbol]
+    }
 
-        const text = element.textContent || element.innerText || ""
+    const currencies = SHARED_CURRENCY_SYMBOLS[symbol]
+    if (currencies.includes(pageCurrency)) {
+      return pageCurrency
+    }
+    if (currencies.includes(fallbackCurrency)) {
+      return fallbackCurrency
+    }
+    return currencies[0]
+  }
 
-        // Skip if text looks like time
-        if (isTimeValue(text)) {
-          return
-        }
+  return pageCurrency || fallbackCurrency
+}
 
-        const price = parsePrice(text, element)
+/**
+ * Add the user's picked rules for a site to its adapter
+ * Picked prices are tried before the adapter's own selectors; picked
+ * exclusions apply to every detection method. Selectors that don't parse
+ * are ignored.
+ * @param {Object} adapter - The site's adapter
+ * @param {{include: Array<string>, exclude: Array<string>}} siteRules -
+ *   Rules from getSiteRulesForHost
+ * @returns {Object} Adapter with the rules applied
+ */
+function applySiteRules(adapter, siteRules) {
+  const include = siteRules.include.filter(isValidCssSelector)
+  const exclude = siteRules.exclude.filter(isValidCssSelector)
+  if (include.length === 0 && exclude.length === 0) {
+    return adapter
+  }
+  return {
+    ...adapter,
+    selectors: [...include, ...adapter.selectors],
+    exclude: [...adapter.exclude, ...exclude],
+  }
+}
 
-        if (price !== null && price > 0) {
-          foundElements.add(element)
-          prices.push({
-            element: element,
-            price: price,
-            originalText: text.trim(),
-          })
-        }
+/**
+ * Find all price elements on the page
+ * Every method proposes candidates, each scored by scorePriceCandidate.
+ * Candidates below the sensitivity's minimum confidence are dropped, then
+ * overlapping ones are narrowed down to one (see resolveOverlappingPrices).
+ * The scan is time-sliced: it yields to the page after each element or text
+ * node once the slicer's budget is spent (see utils/scan-scheduler.js).
+ * @param {string} fallbackCurrency - Currency assumed for prices that don't
+ *   show one (usually the wage currency)
+ * @param {{include: Array<string>, exclude: Array<string>}} siteRules -
+ *   Selectors the user picked for this site (see getSiteRulesForHost)
+ * @param {string} sensitivity - Detection sensitivity: "low", "medium" or
+ *   "high" (see SENSITIVITY_MIN_CONFIDENCE)
+ * @param {{subtrees: Array<HTMLElement>, knownElements: Set<HTMLElement>}|null} scope -
+ *   Content added since the last pass, to scan instead of the whole page,
+ *   and the elements of prices already tracked. New candidates overlapping
+ *   a tracked price are that price found again and are dropped. Null scans
+ *   the whole page.
+ * @param {Object} slicer - Slicer from createScanSlicer, to share one
+ *   scan's budget and metrics with the caller and cancel the scan
+ * @returns {Promise<Array<{element: HTMLElement, price: number, min?: number, max?: number|null, currency: string, period: string|null, deal: Object|null, listPrice?: number, originalText: string, source: string, availability: string|null, confidence: number, signals: Array<string>}>|null>}
+ *   Array of price objects, or null if the scan was cancelled; ranges and "from" prices also have min and max,
+ *   recurring prices have their billing period, unit prices and multi-buys
+ *   have a deal (see detectPriceDeal), sale prices have the crossed-out
+ *   listPrice they replace, and prices read from structured data have the
+ *   published availability. confidence and signals are the candidate's
+ *   score. badgeAnchor is the element the badge goes after.
+ */
+async function detectPrices(
+  fallbackCurrency = DEFAULT_CURRENCY,
+  siteRules = { include: [], exclude: [] },
+  sensitivity = DEFAULT_DETECTION_SENSITIVITY,
+  scope = null,
+  slicer = createScanSlicer()
+) {
+  const prices = []
+  const foundElements = new Set() // Elements already scored
+  const pageCurrency = getPageCurrency()
+  const locale = getPageLocale()
+  // Stores with an adapter use its rules; other sites the generic ones.
+  // Either way, the user's picked rules for the site come first.
+  const adapter = applySiteRules(
+    getSiteAdapter() || GENERIC_SITE_ADAPTER,
+    siteRules
+  )
+  const scoring = {
+    adapter,
+    pickedSelectors: siteRules.include.filter(isValidCssSelector),
+  }
+  const minConfidence =
+    SENSITIVITY_MIN_CONFIDENCE[sensitivity] ??
+    SENSITIVITY_MIN_CONFIDENCE[DEFAULT_DETECTION_SENSITIVITY]
+  // The page (or the added content) plus its open shadow roots and
+  // same-origin frames
+  const roots = scope
+    ? scope.subtrees.flatMap((subtree) => getSearchRoots(subtree))
+    : getSearchRoots()
+
+  // Structured data (microdata, JSON-LD, meta tags): exact prices published
+  // by the store, badged on the visible element that shows them. Stores
+  // publish it with the page, so only full passes read it.
+  const offers = scope ? [] : readStructuredOffers()
+  const structuredCandidates =
+    offers.length > 0
+      ? await readStructuredCandidates(offers, adapter, roots, slicer)
+      : []
+  if (structuredCandidates === null) return null
+  for (const offer of offers) {
+    const found = await findStructuredPriceElement(
+      offer,
+      structuredCandidates,
+      foundElements,
+      locale,
+      adapter,
+      slicer
+    )
+    if (found === false) return null
+    if (!found) {
+      continue
+    }
+    const currency =
+      offer.currency ||
+      detectPriceCurrency(found.text, pageCurrency, fallbackCurrency)
+    foundElements.add(found.element)
+    prices.push(
+      createPriceObject(found.element, found.listing, found.text, currency, {
+        source: "structured-data",
+        availability: offer.availability,
+        ...scorePriceCandidate(
+          found.element,
+          found.text,
+          found.listing.price,
+          "structured-data",
+          scoring
+        ),
       })
+    )
+  }
+
+  // Split prices: read whole so the cents aren't dropped and the badge goes
+  // after the whole group
+  for (const composite of adapter.composites) {
+    for (const container of querySelectorAllInRoots(
+      roots,
+      composite.container
+    )) {
+      if (!(await slicer.checkpoint())) return null
+      if (
+        foundElements.has(container) ||
+        isInsideFoundComposite(container, foundElements, adapter) ||
+        isExcludedBySite(container, adapter) ||
+        isOwnBadge(container)
+      ) {
+        continue
+      }
+
+      const text = resolveCompositePriceText(container, composite)
+      const currency = detectPriceCurrency(text, pageCurrency, fallbackCurrency)
+      const listing = parsePriceListing(text, { locale, currency })
+      if (listing !== null && listing.price > 0) {
+        foundElements.add(container)
+        prices.push(
+          createPriceObject(container, listing, text, currency, {
+            source: "composite",
+            ...scorePriceCandidate(
+              container,
+              text,
+              listing.price,
+              "composite",
+              scoring
+            ),
+          })
+        )
+      }
+    }
+  }
+
+  // Method 1: Use CSS selectors (preferred method - more accurate)
+  for (const selector of adapter.selectors) {
+    let elements
+    try {
+      elements = querySelectorAllInRoots(roots, selector)
     } catch (error) {
       // Invalid selector, skip
       continue
     }
+
+    for (const element of elements) {
+      if (!(await slicer.checkpoint())) return null
+      if (
+        foundElements.has(element) ||
+        isInsideFoundComposite(element, foundElements, adapter) ||
+        isExcludedBySite(element, adapter) ||
+        isOwnBadge(element)
+      ) {
+        continue
+      }
+
+      const text = getCurrentPriceText(element)
+      const currency = detectPriceCurrency(text, pageCurrency, fallbackCurrency)
+      const listing = parsePriceListing(text, { locale, currency })
+
+      if (listing !== null && listing.price > 0) {
+        foundElements.add(element)
+        const priceMatch = text.match(PRICE_LISTING_TEXT_PATTERN)
+        const textBefore = priceMatch ? text.slice(0, priceMatch.index) : ""
+        prices.push(
+          createPriceObject(element, listing, text, currency, {
+            source: "selector",
+            textBefore,
+            ...scorePriceCandidate(
+              element,
+              text,
+              listing.price,
+              "selector",
+              scoring
+            ),
+          })
+        )
+      }
+    }
   }
 
   // Method 2: Regex search on all text nodes (fallback - more conservative)
-  // Only use this for elements that weren't found by selectors
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    null,
-    false
-  )
+  // Only use this for elements that weren't found by selectors, and only on
+  // sites whose adapter doesn't list every price element
+  if (adapter.scanText) {
+    for (const root of roots) {
+      // Shadow roots and added subtrees have no body; the walker covers the
+      // whole root, and parents are looked for up to the document's body
+      const scanRoot = root.body || root
+      const body = (root.ownerDocument || root).body
+      const walker = document.createTreeWalker(
+        scanRoot,
+        NodeFilter.SHOW_TEXT,
+        null,
+        false
+      )
 
-  let node
-  while ((node = walker.nextNode())) {
-    const text = node.textContent
+      let node
+      while ((node = walker.nextNode())) {
+        if (!(await slicer.checkpoint())) return null
+        const text = node.textContent
 
-    // Skip if text looks like time
-    if (isTimeValue(text)) {
-      continue
-    }
+        // Skip parts of split prices that were already read whole
+        if (
+          node.parentElement &&
+          (isInsideFoundComposite(node.parentElement, foundElements, adapter) ||
+            isExcludedBySite(node.parentElement, adapter))
+        ) {
+          continue
+        }
+
+        // Ranges and "from" prices are matched whole, so their two amounts
+        // aren't taken as separate prices
+        const matches = [...text.matchAll(PRICE_LISTING_PATTERN)].filter(
+          (match) => hasCurrencyMarker(match[0])
+        )
 
-    const matches = text.match(PRICE_PATTERN)
+        matches.forEach((listingMatch) => {
+          const match = listingMatch[0]
 
-    if (matches) {
-      matches.forEach((match) => {
-        // Find the parent element
-        let parent = node.parentElement
-        while (parent && parent !== document.body) {
-          // Skip if already found or if it's a time element
-          if (foundElements.has(parent) || !isPriceElement(parent)) {
+          // The nearest element not already scored; when that is a price
+          // found by another method, its ancestor competes with it and
+          // resolveOverlappingPrices keeps the better one
+          let parent = node.parentElement
+          while (parent && parent !== body && foundElements.has(parent)) {
             parent = parent.parentElement
-            continue
+          }
+          if (!parent || parent === body || isOwnBadge(parent)) {
+            return
           }
 
-          const price = parsePrice(match, parent)
-          if (price !== null && price > 0) {
+          const currency = detectPriceCurrency(
+            match,
+            pageCurrency,
+            fallbackCurrency
+          )
+          const listing = parsePriceListing(match, { locale, currency })
+          if (listing !== null && listing.price > 0) {
             foundElements.add(parent)
-            prices.push({
-              element: parent,
-              price: price,
-              originalText: match.trim(),
-            })
-            break
+            prices.push(
+              createPriceObject(
+                parent,
+                listing,
+                text.slice(listingMatch.index),
+                currency,
+                {
+                  source: "text",
+                  originalText: match.trim(),
+                  textBefore: text.slice(0, listingMatch.index),
+                  // The whole text node, so countdowns around the price count
+                  ...scorePriceCandidate(
+                    parent,
+                    text,
+                    listing.price,
+                    "text",
+                    scoring
+                  ),
+                }
+              )
+            )
           }
-          parent = parent.parentElement
-        }
-      })
+        })
+      }
+    }
+  }
+
+  // Tracked prices keep their badges; candidates overlapping them are the
+  // same prices found again. Each candidate walks up its own ancestors
+  // against the tracked elements and theirs, as in resolveOverlappingPrices.
+  // The page may also have removed candidates while the scan waited for
+  // idle time.
+  const knownElements = scope ? scope.knownElements : new Set()
+  const knownAncestors = new Set()
+  knownElements.forEach((known) => {
+    for (
+      let node = known.parentElement;
+      node && !knownAncestors.has(node);
+      node = node.parentElement
+    ) {
+      knownAncestors.add(node)
+    }
+  })
+  const newPrices = []
+  for (const p of prices) {
+    if (!(await slicer.checkpoint())) return null
+    let overlaps = !p.element.isConnected || knownAncestors.has(p.element)
+    for (let node = p.element; node && !overlaps; node = node.parentElement) {
+      overlaps = knownElements.has(node)
+    }
+    if (!overlaps) {
+      newPrices.push(p)
     }
   }
 
-  // Remove duplicates and sort by price
-  const uniquePrices = Array.from(
-    new Map(prices.map((p) => [p.element, p])).values()
+  // List prices are never badged, so any of them can still show savings
+  const confidentPrices = resolveOverlappingPrices(
+    newPrices.filter((p) => p.isListPrice || p.confidence >= minConfidence)
   )
 
-  return uniquePrices
+  // Badges go after the price element, or after the wrapper the site's
+  // adapter names
+  confidentPrices.forEach((p) => {
+    p.badgeAnchor =
+      (adapter.badgeAfter && p.element.closest(adapter.badgeAfter)) || p.element
+  })
+
+  // Crossed-out list prices aren't badged; their sale price shows the savings
+  return pairSalePrices(confidentPrices)
+}
+
+/**
+ * Read a tracked price again after the page changed it in place (a shopper
+ * picking another size or color often rewrites the price text)
+ * The element is read the way the method that found it read it. It was
+ * already accepted, so the new reading isn't held to the sensitivity
+ * threshold. The badge anchor is kept, and so is the crossed-out list price
+ * while the new price is still below it.
+ * @param {Object} priceObj - Price object from detectPrices
+ * @param {string} fallbackCurrency - Currency assumed for prices that don't
+ *   show one
+ * @param {{include: Array<string>, exclude: Array<string>}} siteRules -
+ *   Selectors the user picked for this site
+ * @returns {Object|null} New price object for the element, or null if it no
+ *   longer shows a price to pay
+ */
+function rereadPrice(priceObj, fallbackCurrency, siteRules) {
+  const { element, source } = priceObj
+  const adapter = applySiteRules(
+    getSiteAdapter() || GENERIC_SITE_ADAPTER,
+    siteRules
+  )
+  const elementText = readVisiblePriceText(element, adapter)
+
+  // Text scan prices are the first price in the element's text
+  let text = elementText
+  let textBefore = ""
+  let originalText
+  const listingMatch = [...elementText.matchAll(PRICE_LISTING_PATTERN)].find(
+    (match) => hasCurrencyMarker(match[0])
+  )
+  if (source === "text") {
+    if (!listingMatch) {
+      return null
+    }
+    text = elementText.slice(listingMatch.index)
+    originalText = listingMatch[0].trim()
+  }
+  if (listingMatch) {
+    textBefore = elementText.slice(0, listingMatch.index)
+  }
+
+  // Structured data named the currency; a size change doesn't change it
+  const currency =
+    source === "structured-data"
+      ? priceObj.currency
+      : detectPriceCurrency(text, getPageCurrency(), fallbackCurrency)
+  const listing = parsePriceListing(text, {
+    locale: getPageLocale(),
+    currency,
+  })
+  if (listing === null || listing.price <= 0) {
+    return null
+  }
+
+  const updated = createPriceObject(element, listing, text, currency, {
+    source,
+    originalText,
+    textBefore,
+    availability: priceObj.availability,
+    ...scorePriceCandidate(element, text, listing.price, source, {
+      adapter,
+      pickedSelectors: siteRules.include.filter(isValidCssSelector),
+    }),
+  })
+  if (updated.isListPrice) {
+    return null
+  }
+  delete updated.isListPrice
+
+  updated.badgeAnchor = priceObj.badgeAnchor
+  if (
+    priceObj.listPrice !== undefined &&
+    updated.min === undefined &&
+    updated.price < priceObj.listPrice
+  ) {
+    updated.listPrice = priceObj.listPrice
+  }
+  return updated
 }
 
 /**
  * Mark price elements with data attributes for later UI injection
  * @param {Array<{element: HTMLElement, price: number, originalText: string}>} prices - Array of price objects
+ * @param {number} startIndex - Index of the first price among all tracked
+ *   prices (for prices appended to earlier ones)
  */
-function markPriceElements(prices) {
+function markPriceElements(prices, startIndex = 0) {
   prices.forEach((priceObj, index) => {
     priceObj.element.setAttribute("data-price-detected", "true")
     priceObj.element.setAttribute("data-price-value", priceObj.price)
-    priceObj.element.setAttribute("data-price-index", index)
+    priceObj.element.setAttribute("data-price-index", startIndex + index)
+    priceObj.element.setAttribute("data-price-confidence", priceObj.confidence)
   })
 }
@@ -0,0 +1,299 @@
+/**
+ * Versioned settings schema with migrations run on install and update
+ *
+ * Every stored setting has its default in storage.js (or the module that
+ * owns it); this file only describes how older stored data is brought up to
+ * the current shape. To change the shape of a setting, add a migration with
+ * the next version number and bump SETTINGS_SCHEMA_VERSION.
+ */
+
+const SETTINGS_VERSION_KEY = "settingsVersion"
+const SETTINGS_SCHEMA_VERSION = 3
+
+// Migrations in version order. Each one mutates the full stored settings
+// object and runs once for installs whose recorded version is lower.
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Derive income settings from the original hourly wage key",
+    migrate(settings) {
+      if (
+        !settings[INCOME_SETTINGS_KEY] &&
+        typeof settings[STORAGE_KEY] === "number"
+      ) {
+        settings[INCOME_SETTINGS_KEY] = {
+          ...DEFAULT_INCOME_SETTINGS,
+          hourlyRate: settings[STORAGE_KEY],
+        }
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Move existing settings into a default wage profile",
+    migrate(settings) {
+      const profiles = settings[PROFILES_KEY]
+      if (profiles && Object.keys(profiles).length > 0) {
+        return
+      }
+
+      const profileSettings = {}
+      PROFILE_SETTING_KEYS.forEach((key) => {
+        if (settings[key] !== undefined) {
+          profileSettings[key] = settings[key]
+        }
+      })
+      settings[PROFILES_KEY] = {
+        default: { id: "default", name: "Default", settings: profileSettings },
+      }
+      settings[ACTIVE_PROFILE_KEY] = "default"
+    },
+  },
+  {
+    version: 3,
+    description: "Add default rates for currencies a stored rate table lacks",
+    migrate(settings) {
+      const table = settings[EXCHANGE_RATES_KEY]
+      if (isValidExchangeRates(table)) {
+        settings[EXCHANGE_RATES_KEY] = addMissingDefaultRates(table)
+      }
+    },
+  },
+]
+
+/**
+ * Get the default value of every top-level setting
+ * @returns {Object} Defaults keyed by storage key
+ */
+function getDefaultSettings() {
+  return {
+    [STORAGE_KEY]: DEFAULT_WAGE,
+    [DISPLAY_MODE_KEY]: DEFAULT_DISPLAY_MODE,
+    [SHOW_HOURS_KEY]: DEFAULT_SHOW_HOURS,
+    [RANGE_TIER_END_KEY]: DEFAULT_RANGE_TIER_END,
+    [RECURRING_DISPLAY_KEY]: DEFAULT_RECURRING_DISPLAY,
+    [DETECTION_SENSITIVITY_KEY]: DEFAULT_DETECTION_SENSITIVITY,
+    [TIER_SETTINGS_KEY]: { ...DEFAULT_TIER_SETTINGS },
+    [INCOME_SETTINGS_KEY]: { ...DEFAULT_INCOME_SETTINGS },
+    [TAX_SETTINGS_KEY]: { ...DEFAULT_TAX_SETTINGS },
+    [TRUE_WAGE_SETTINGS_KEY]: {
+      ...DEFAULT_TRUE_WAGE_SETTINGS,
+      monthlyCosts: { ...DEFAULT_TRUE_WAGE_SETTINGS.monthlyCosts },
+    },
+    [CURRENCY_KEY]: DEFAULT_CURRENCY,
+    [SITE_RULES_KEY]: { ...DEFAULT_SITE_RULES },
+  }
+}
+
+/**
+ * Repair tier settings: fix the type, clamp negative thresholds and put the
+ * thresholds back in green <= yellow <= red order
+ * @param {Object} settings - Stored tier settings
+ * @returns {Object} Valid tier settings
+ */
+function repairTierSettings(settings) {
+  if (typeof settings !== "object" || settings === null) {
+    return { ...DEFAULT_TIER_SETTINGS }
+  }
+
+  const thresholds = ["green", "yellow", "red"].map((tier) => {
+    const value = settings[tier]
+    if (typeof value !== "number" || isNaN(value)) {
+      return DEFAULT_TIER_SETTINGS[tier]
+    }
+    return Math.max(0, value)
+  })
+  thresholds.sort((a, b) => a - b)
+
+  return {
+    type: settings.type === "hours" ? "hours" : "money",
+    green: thresholds[0],
+    yellow: thresholds[1],
+    red: thresholds[2],
+  }
+}
+
+/**
+ * Replace invalid values in a settings object with valid ones
+ * Only keys present in the object are touched.
+ * @param {Object} settings - Settings keyed by storage key (mutated)
+ * @returns {Array<string>} Keys that were repaired
+ */
+function repairSettings(settings) {
+  const defaults = getDefaultSettings()
+  const repaired = []
+  const replace = (key, value) => {
+    if (JSON.stringify(settings[key]) !== JSON.stringify(value)) {
+      settings[key] = value
+      repaired.push(key)
+    }
+  }
+
+  if (
+    DISPLAY_MODE_KEY in settings &&
+    !isValidDisplayMode(settings[DISPLAY_MODE_KEY])
+  ) {
+    replace(DISPLAY_MODE_KEY, defaults[DISPLAY_MODE_KEY])
+  }
+
+  if (
+    SHOW_HOURS_KEY in settings &&
+    typeof settings[SHOW_HOURS_KEY] !== "boolean"
+  ) {
+    replace(SHOW_HOURS_KEY, settings[SHOW_HOURS_KEY] !== false)
+  }
+
+  if (
+    RANGE_TIER_END_KEY in settings &&
+    !isValidRangeTierEnd(settings[RANGE_TIER_END_KEY])
+  ) {
+    replace(RANGE_TIER_END_KEY, defaults[RANGE_TIER_END_KEY])
+  }
+
+  if (
+    RECURRING_DISPLAY_KEY in settings &&
+    !isValidRecurringDisplay(settings[RECURRING_DISPLAY_KEY])
+  ) {
+    replace(RECURRING_DISPLAY_KEY, defaults[RECURRING_DISPLAY_KEY])
+  }
+
+  if (
+    DETECTION_SENSITIVITY_KEY in settings &&
+    !isValidDetectionSensitivity(settings[DETECTION_SENSITIVITY_KEY])
+  ) {
+    replace(DETECTION_SENSITIVITY_KEY, defaults[DETECTION_SENSITIVITY_KEY])
+  }
+
+  if (
+    SITE_RULES_KEY in settings &&
+    !isValidSiteRules(settings[SITE_RULES_KEY])
+  ) {
+    replace(SITE_RULES_KEY, defaults[SITE_RULES_KEY])
+  }
+
+  if (TIER_SETTINGS_KEY in settings) {
+    replace(TIER_SETTINGS_KEY, repairTierSettings(settings[TIER_SETTINGS_KEY]))
+  }
+
+  // The wage is derived from the income settings, so the two are repaired
+  // together: broken income settings keep the stored wage as an hourly rate,
+  // and a broken wage is derived again from the income settings
+  const wage = settings[STORAGE_KEY]
+  const isWageValid = isValidHourlyWage(wage) && isFinite(wage)
+  let incomeReset = false
+
+  if (INCOME_SETTINGS_KEY in settings) {
+    const income = {
+      ...defaults[INCOME_SETTINGS_KEY],
+      ...settings[INCOME_SETTINGS_KEY],
+    }
+    const hourlyIncome = {
+      ...defaults[INCOME_SETTINGS_KEY],
+      hourlyRate: isWageValid ? wage : 0,
+    }
+    if (isValidIncomeSettings(income)) {
+      replace(INCOME_SETTINGS_KEY, income)
+    } else {
+      replace(
+        INCOME_SETTINGS_KEY,
+        isValidIncomeSettings(hourlyIncome)
+          ? hourlyIncome
+          : defaults[INCOME_SETTINGS_KEY]
+      )
+      incomeReset = true
+    }
+  }
+
+  if (STORAGE_KEY in settings && (!isWageValid || incomeReset)) {
+    replace(
+      STORAGE_KEY,
+      INCOME_SETTINGS_KEY in settings
+        ? calculateEffectiveHourlyWage(settings[INCOME_SETTINGS_KEY])
+        : defaults[STORAGE_KEY]
+    )
+  }
+
+  if (TAX_SETTINGS_KEY in settings) {
+    const tax = { ...defaults[TAX_SETTINGS_KEY], ...settings[TAX_SETTINGS_KEY] }
+    replace(
+      TAX_SETTINGS_KEY,
+      isValidTaxSettings(tax) ? tax : defaults[TAX_SETTINGS_KEY]
+    )
+  }
+
+  if (TRUE_WAGE_SETTINGS_KEY in settings) {
+    const stored = settings[TRUE_WAGE_SETTINGS_KEY] || {}
+    const trueWage = {
+      ...defaults[TRUE_WAGE_SETTINGS_KEY],
+      ...stored,
+      monthlyCosts: {
+        ...defaults[TRUE_WAGE_SETTINGS_KEY].monthlyCosts,
+        ...stored.monthlyCosts,
+      },
+    }
+    replace(
+      TRUE_WAGE_SETTINGS_KEY,
+      isValidTrueWageSettings(trueWage)
+        ? trueWage
+        : defaults[TRUE_WAGE_SETTINGS_KEY]
+    )
+  }
+
+  if (CURRENCY_KEY in settings && !isValidCurrency(settings[CURRENCY_KEY])) {
+    replace(CURRENCY_KEY, defaults[CURRENCY_KEY])
+  }
+
+  return repaired
+}
+
+/**
+ * Bring stored settings up to the current schema
+ * Runs pending migrations, fills in missing defaults, repairs invalid values
+ * (including inside saved wage profiles) and records the schema version.
+ * @returns {Promise<{fromVersion: number, toVersion: number, repaired: Array<string>}|null>}
+ *   Migration summary, or null if it failed
+ */
+async function runSettingsMigrations() {
+  try {
+    const settings = await chrome.storage.local.get(null)
+    const fromVersion = settings[SETTINGS_VERSION_KEY] || 0
+
+    // Data written by a newer version of the extension is left alone
+    if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+      console.warn(
+        `Settings schema ${fromVersion} is newer than ${SETTINGS_SCHEMA_VERSION}; skipping migrations.`
+      )
+      return { fromVersion, toVersion: fromVersion, repaired: [] }
+    }
+
+    SETTINGS_MIGRATIONS.forEach((migration) => {
+      if (migration.version > fromVersion) {
+        migration.migrate(settings)
+      }
+    })
+
+    const defaults = getDefaultSettings()
+    Object.keys(defaults).forEach((key) => {
+      if (settings[key] === undefined) {
+        settings[key] = defaults[key]
+      }
+    })
+
+    const repaired = repairSettings(settings)
+    Object.values(settings[PROFILES_KEY] || {}).forEach((profile) => {
+      repaired.push(...repairSettings(profile.settings || {}))
+    })
+
+    settings[SETTINGS_VERSION_KEY] = SETTINGS_SCHEMA_VERSION
+    await chrome.storage.local.set(settings)
+
+    return {
+      fromVersion,
+      toVersion: SETTINGS_SCHEMA_VERSION,
+      repaired: [...new Set(repaired)],
+    }
+  } catch (error) {
+    console.error("Error migrating settings:", error)
+    return null
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Export and import of extension settings as a versioned JSON document
+ *
+ * An export holds every user setting (including all wage profiles) plus the
+ * settings schema version it was written with. Imports from older versions
+ * are migrated with the same migrations used on update, validated with the
+ * same checks the setters use, and written in a single storage call.
+ */
+
+const SETTINGS_EXPORT_FORMAT = "time-is-money-settings"
+const SETTINGS_EXPORT_FILE_NAME = "time-is-money-settings.json"
+
+// Validation for each exportable top-level setting, shared with the setters
+const SETTING_VALIDATORS = {
+  [STORAGE_KEY]: isValidHourlyWage,
+  [TIER_SETTINGS_KEY]: isValidTierSettings,
+  [DISPLAY_MODE_KEY]: isValidDisplayMode,
+  [SHOW_HOURS_KEY]: (show) => typeof show === "boolean",
+  [RANGE_TIER_END_KEY]: isValidRangeTierEnd,
+  [RECURRING_DISPLAY_KEY]: isValidRecurringDisplay,
+  [DETECTION_SENSITIVITY_KEY]: isValidDetectionSensitivity,
+  [INCOME_SETTINGS_KEY]: isValidIncomeSettings,
+  [TAX_SETTINGS_KEY]: isValidTaxSettings,
+  [TRUE_WAGE_SETTINGS_KEY]: isValidTrueWageSettings,
+  [CURRENCY_KEY]: isValidCurrency,
+  [EXCHANGE_RATES_KEY]: isValidExchangeRates,
+  [SITE_RULES_KEY]: isValidSiteRules,
+}
+
+const EXPORTED_SETTING_KEYS = [
+  ...Object.keys(SETTING_VALIDATORS),
+  PROFILES_KEY,
+  ACTIVE_PROFILE_KEY,
+]
+
+/**
+ * Build an export document from the stored settings
+ * @returns {Promise<Object>} Export document
+ */
+async function exportSettings() {
+  // Make sure the default profile exists so the export is self-contained
+  await getProfiles()
+  const settings = await chrome.storage.local.get(EXPORTED_SETTING_KEYS)
+
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: settings,
+  }
+}
+
+/**
+ * Check every setting in an import and describe what's wrong
+ * @param {Object} settings - Settings keyed by storage key
+ * @returns {Array<string>} Error messages (empty if everything is valid)
+ */
+function validateImportedSettings(settings) {
+  const errors = []
+
+  Object.entries(SETTING_VALIDATORS).forEach(([key, isValid]) => {
+    if (key in settings && !isValid(settings[key])) {
+      errors.push(`"${key}" has an invalid value`)
+    }
+  })
+
+  const profiles = settings[PROFILES_KEY]
+  if (profiles === undefined) {
+    return errors
+  }
+
+  if (typeof profiles !== "object" || profiles === null) {
+    errors.push(`"${PROFILES_KEY}" must be an object`)
+    return errors
+  }
+
+  Object.entries(profiles).forEach(([id, profile]) => {
+    if (
+      typeof profile !== "object" ||
+      profile === null ||
+      profile.id !== id ||
+      !isValidProfileName(profile.name) ||
+      typeof profile.settings !== "object" ||
+      profile.settings === null
+    ) {
+      errors.push(`Profile "${id}" is malformed`)
+      return
+    }
+
+    Object.entries(profile.settings).forEach(([key, value]) => {
+      const isValid = SETTING_VALIDATORS[key]
+      if (!PROFILE_SETTING_KEYS.includes(key) || !isValid || !isValid(value)) {
+        errors.push(`Profile "${profile.name}" has an invalid "${key}"`)
+      }
+    })
+  })
+
+  if (!profiles[settings[ACTIVE_PROFILE_KEY]]) {
+    errors.push(`"${ACTIVE_PROFILE_KEY}" must name one of the profiles`)
+  }
+
+  return errors
+}
+
+/**
+ * Parse and validate an exported settings file
+ * Files from older schema versions are migrated first. Unknown keys are
+ * dropped. When the file has profiles, settings it doesn't set directly are
+ * taken from its active profile so the live settings and profile agree.
+ * @param {string} text - File contents
+ * @returns {{settings: Object|null, errors: Array<string>}} Settings ready
+ *   to apply, or null with the reasons the file was rejected
+ */
+function parseSettingsExport(text) {
+  let exportData
+  try {
+    exportData = JSON.parse(text)
+  } catch (error) {
+    return { settings: null, errors: ["The file is not valid JSON"] }
+  }
+
+  if (
+    typeof exportData !== "object" ||
+    exportData === null ||
+    exportData.format !== SETTINGS_EXPORT_FORMAT ||
+    typeof exportData.settings !== "object" ||
+    exportData.settings === null
+  ) {
+    return { settings: null, errors: ["The file is not a settings export"] }
+  }
+
+  const version = exportData.schemaVersion
+  if (!Number.isInteger(version) || version < 0) {
+    return { settings: null, errors: ["The file has no schema version"] }
+  }
+  if (version > SETTINGS_SCHEMA_VERSION) {
+    return {
+      settings: null,
+      errors: ["The file was exported by a newer version of the extension"],
+    }
+  }
+
+  const migrated = JSON.parse(JSON.stringify(exportData.settings))
+  SETTINGS_MIGRATIONS.forEach((migration) => {
+    if (migration.version > version) {
+      migration.migrate(migrated)
+    }
+  })
+
+  // Files from before profiles existed update the active profile instead of
+  // replacing every profile with the one the migration creates
+  const hasProfiles = PROFILES_KEY in exportData.settings
+  const settings = {}
+  EXPORTED_SETTING_KEYS.forEach((key) => {
+    const isProfileKey = key === PROFILES_KEY || key === ACTIVE_PROFILE_KEY
+    if (migrated[key] !== undefined && (hasProfiles || !isProfileKey)) {
+      settings[key] = migrated[key]
+    }
+  })
+
+  if (Object.keys(settings).length === 0) {
+    return { settings: null, errors: ["The file contains no settings"] }
+  }
+
+  const errors = validateImportedSettings(settings)
+  if (errors.length > 0) {
+    return { settings: null, errors }
+  }
+
+  const activeProfile = settings[PROFILES_KEY]
+    ? settings[PROFILES_KEY][settings[ACTIVE_PROFILE_KEY]]
+    : null
+  if (activeProfile) {
+    return {
+      settings: { ...activeProfile.settings, ...settings },
+      errors: [],
+    }
+  }
+
+  return { settings, errors: [] }
+}
+
+/**
+ * List the settings an import would change
+ * @param {Object} settings - Parsed settings from parseSettingsExport
+ * @returns {Promise<Array<{key: string, before: *, after: *}>>} Changed settings
+ */
+async function diffSettings(settings) {
+  const current = await chrome.storage.local.get(Object.keys(settings))
+
+  return Object.keys(settings)
+    .filter(
+      (key) => JSON.stringify(current[key]) !== JSON.stringify(settings[key])
+    )
+    .map((key) => ({ key, before: current[key], after: settings[key] }))
+}
+
+/**
+ * Apply imported settings in a single storage write
+ * @param {Object} settings - Parsed settings from parseSettingsExport
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function applyImportedSettings(settings) {
+  const errors = validateImportedSettings(settings)
+  if (errors.length > 0) {
+    console.error("Invalid imported settings:", errors)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set(settings)
+    return true
+  } catch (error) {
+    console.error("Error importing settings:", error)
+    return false
+  }
+}
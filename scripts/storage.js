@@ -19,6 +19,15 @@ async function getHourlyWage() {
   }
 }
 
+/**
+ * Check that an hourly wage is a non-negative number
+ * @param {number} wage - The hourly wage
+ * @returns {boolean} True if the wage is valid
+ */
+function isValidHourlyWage(wage) {
+  return typeof wage === "number" && !isNaN(wage) && wage >= 0
+}
+
 /**
  * Set the user's hourly wage in storage
  * @param {number} wage - The hourly wage to store
@@ -26,7 +35,7 @@ async function getHourlyWage() {
  */
 async function setHourlyWage(wage) {
   // Validate wage input
-  if (typeof wage !== "number" || isNaN(wage) || wage < 0) {
+  if (!isValidHourlyWage(wage)) {
     console.error("Invalid wage value:", wage)
     return false
   }
@@ -74,6 +83,29 @@ async function getTierSettings() {
   }
 }
 
+/**
+ * Check that tier settings have a valid type and ordered thresholds
+ * @param {Object} settings - Tier settings object
+ * @returns {boolean} True if the settings are valid
+ */
+function isValidTierSettings(settings) {
+  if (typeof settings !== "object" || settings === null) {
+    return false
+  }
+
+  if (settings.type !== "money" && settings.type !== "hours") {
+    return false
+  }
+
+  const thresholds = [settings.green, settings.yellow, settings.red]
+  if (thresholds.some((n) => typeof n !== "number" || isNaN(n) || n < 0)) {
+    return false
+  }
+
+  // Thresholds must not decrease from green to red
+  return settings.green <= settings.yellow && settings.yellow <= settings.red
+}
+
 /**
  * Set tier settings in storage
  * @param {Object} settings - Tier settings object
@@ -81,36 +113,948 @@ async function getTierSettings() {
  */
 async function setTierSettings(settings) {
   // Validate settings
-  if (typeof settings !== "object" || settings === null) {
+  if (!isValidTierSettings(settings)) {
     console.error("Invalid tier settings:", settings)
     return false
   }
 
-  if (settings.type !== "money" && settings.type !== "hours") {
-    console.error("Invalid tier type:", settings.type)
+  try {
+    await chrome.storage.local.set({ [TIER_SETTINGS_KEY]: settings })
+    return true
+  } catch (error) {
+    console.error("Error setting tier settings:", error)
     return false
   }
+}
+
+/**
+ * Display mode storage key
+ */
+const DISPLAY_MODE_KEY = "displayMode"
+const DEFAULT_DISPLAY_MODE = "side-by-side" // "side-by-side" or "replace"
+
+/**
+ * Get display mode from storage
+ * @returns {Promise<string>} "side-by-side" or "replace"
+ */
+async function getDisplayMode() {
+  try {
+    const result = await chrome.storage.local.get(DISPLAY_MODE_KEY)
+    return result[DISPLAY_MODE_KEY] || DEFAULT_DISPLAY_MODE
+  } catch (error) {
+    console.error("Error getting display mode:", error)
+    return DEFAULT_DISPLAY_MODE
+  }
+}
+
+/**
+ * Check that a display mode is one the content script supports
+ * @param {string} mode - Display mode
+ * @returns {boolean} True if the mode is valid
+ */
+function isValidDisplayMode(mode) {
+  return mode === "side-by-side" || mode === "replace"
+}
 
-  if (
-    typeof settings.green !== "number" ||
-    typeof settings.yellow !== "number" ||
-    typeof settings.red !== "number" ||
-    isNaN(settings.green) ||
-    isNaN(settings.yellow) ||
-    isNaN(settings.red) ||
-    settings.green < 0 ||
-    settings.yellow < 0 ||
-    settings.red < 0
-  ) {
-    console.error("Invalid tier thresholds:", settings)
+/**
+ * Set display mode in storage
+ * @param {string} mode - "side-by-side" or "replace"
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setDisplayMode(mode) {
+  if (!isValidDisplayMode(mode)) {
+    console.error("Invalid display mode:", mode)
     return false
   }
 
   try {
-    await chrome.storage.local.set({ [TIER_SETTINGS_KEY]: settings })
+    await chrome.storage.local.set({ [DISPLAY_MODE_KEY]: mode })
     return true
   } catch (error) {
-    console.error("Error setting tier settings:", error)
+    console.error("Error setting display mode:", error)
+    return false
+  }
+}
+
+/**
+ * Show hours toggle storage key
+ */
+const SHOW_HOURS_KEY = "showHours"
+const DEFAULT_SHOW_HOURS = true
+
+/**
+ * Get show hours toggle state from storage
+ * @returns {Promise<boolean>} True unless hours were switched off
+ */
+async function getShowHours() {
+  try {
+    const result = await chrome.storage.local.get(SHOW_HOURS_KEY)
+    return result[SHOW_HOURS_KEY] !== false // Default to true if not set
+  } catch (error) {
+    console.error("Error getting show hours state:", error)
+    return DEFAULT_SHOW_HOURS
+  }
+}
+
+/**
+ * Set show hours toggle state in storage
+ * @param {boolean} show - Whether to show hours on pages
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setShowHours(show) {
+  try {
+    await chrome.storage.local.set({ [SHOW_HOURS_KEY]: show !== false })
+    return true
+  } catch (error) {
+    console.error("Error setting show hours state:", error)
+    return false
+  }
+}
+
+/**
+ * Price range tier storage key
+ */
+const RANGE_TIER_END_KEY = "rangeTierEnd"
+const DEFAULT_RANGE_TIER_END = "high" // "low" or "high"
+
+/**
+ * Get which end of a price range sets its tier color
+ * @returns {Promise<string>} "low" or "high"
+ */
+async function getRangeTierEnd() {
+  try {
+    const result = await chrome.storage.local.get(RANGE_TIER_END_KEY)
+    return result[RANGE_TIER_END_KEY] || DEFAULT_RANGE_TIER_END
+  } catch (error) {
+    console.error("Error getting range tier end:", error)
+    return DEFAULT_RANGE_TIER_END
+  }
+}
+
+/**
+ * Check that a range tier end is one the content script supports
+ * @param {string} end - Range tier end
+ * @returns {boolean} True if the value is valid
+ */
+function isValidRangeTierEnd(end) {
+  return end === "low" || end === "high"
+}
+
+/**
+ * Set which end of a price range sets its tier color
+ * @param {string} end - "low" or "high"
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setRangeTierEnd(end) {
+  if (!isValidRangeTierEnd(end)) {
+    console.error("Invalid range tier end:", end)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [RANGE_TIER_END_KEY]: end })
+    return true
+  } catch (error) {
+    console.error("Error setting range tier end:", error)
+    return false
+  }
+}
+
+/**
+ * Recurring price display storage key
+ */
+const RECURRING_DISPLAY_KEY = "recurringDisplay"
+const DEFAULT_RECURRING_DISPLAY = "both" // "both", "period" or "year"
+
+/**
+ * Get which work time figure badges show for recurring prices
+ * @returns {Promise<string>} "both", "period" or "year"
+ */
+async function getRecurringDisplay() {
+  try {
+    const result = await chrome.storage.local.get(RECURRING_DISPLAY_KEY)
+    return result[RECURRING_DISPLAY_KEY] || DEFAULT_RECURRING_DISPLAY
+  } catch (error) {
+    console.error("Error getting recurring display:", error)
+    return DEFAULT_RECURRING_DISPLAY
+  }
+}
+
+/**
+ * Check that a recurring display choice is one the content script supports
+ * @param {string} display - Recurring display choice
+ * @returns {boolean} True if the value is valid
+ */
+function isValidRecurringDisplay(display) {
+  return display === "both" || display === "period" || display === "year"
+}
+
+/**
+ * Set which work time figure badges show for recurring prices
+ * @param {string} display - "both" (per period and per year), "period" or "year"
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setRecurringDisplay(display) {
+  if (!isValidRecurringDisplay(display)) {
+    console.error("Invalid recurring display:", display)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [RECURRING_DISPLAY_KEY]: display })
+    return true
+  } catch (error) {
+    console.error("Error setting recurring display:", error)
+    return false
+  }
+}
+
+/**
+ * Detection sensitivity storage key
+ * How confident the detector must be before a price is badged
+ */
+const DETECTION_SENSITIVITY_KEY = "detectionSensitivity"
+const DEFAULT_DETECTION_SENSITIVITY = "medium" // "low", "medium" or "high"
+
+/**
+ * Get how eagerly prices are detected
+ * @returns {Promise<string>} "low", "medium" or "high"
+ */
+async function getDetectionSensitivity() {
+  try {
+    const result = await chrome.storage.local.get(DETECTION_SENSITIVITY_KEY)
+    return result[DETECTION_SENSITIVITY_KEY] || DEFAULT_DETECTION_SENSITIVITY
+  } catch (error) {
+    console.error("Error getting detection sensitivity:", error)
+    return DEFAULT_DETECTION_SENSITIVITY
+  }
+}
+
+/**
+ * Check that a detection sensitivity is one the detector supports
+ * @param {string} sensitivity - Detection sensitivity
+ * @returns {boolean} True if the value is valid
+ */
+function isValidDetectionSensitivity(sensitivity) {
+  return (
+    sensitivity === "low" || sensitivity === "medium" || sensitivity === "high"
+  )
+}
+
+/**
+ * Set how eagerly prices are detected
+ * @param {string} sensitivity - "low" (only clear prices), "medium" or
+ *   "high" (also prices with little evidence)
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setDetectionSensitivity(sensitivity) {
+  if (!isValidDetectionSensitivity(sensitivity)) {
+    console.error("Invalid detection sensitivity:", sensitivity)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [DETECTION_SENSITIVITY_KEY]: sensitivity })
+    return true
+  } catch (error) {
+    console.error("Error setting detection sensitivity:", error)
+    return false
+  }
+}
+
+/**
+ * Income settings storage key
+ */
+const INCOME_SETTINGS_KEY = "incomeSettings"
+
+/**
+ * Get income settings from storage
+ * Falls back to hourly mode seeded with the stored hourly wage so installs
+ * from before income settings existed keep their rate.
+ * @returns {Promise<Object>} Income settings object
+ */
+async function getIncomeSettings() {
+  try {
+    const result = await chrome.storage.local.get([
+      INCOME_SETTINGS_KEY,
+      STORAGE_KEY,
+    ])
+    if (result[INCOME_SETTINGS_KEY]) {
+      return { ...DEFAULT_INCOME_SETTINGS, ...result[INCOME_SETTINGS_KEY] }
+    }
+    return {
+      ...DEFAULT_INCOME_SETTINGS,
+      hourlyRate: result[STORAGE_KEY] || DEFAULT_WAGE,
+    }
+  } catch (error) {
+    console.error("Error getting income settings:", error)
+    return { ...DEFAULT_INCOME_SETTINGS }
+  }
+}
+
+/**
+ * Set income settings in storage
+ * Also stores the derived effective hourly wage under the hourly wage key,
+ * which is what price conversions read.
+ * @param {Object} settings - Income settings object
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setIncomeSettings(settings) {
+  if (!isValidIncomeSettings(settings)) {
+    console.error("Invalid income settings:", settings)
+    return false
+  }
+
+  const wage = calculateEffectiveHourlyWage(settings)
+
+  try {
+    await chrome.storage.local.set({
+      [INCOME_SETTINGS_KEY]: settings,
+      [STORAGE_KEY]: wage,
+    })
+    return true
+  } catch (error) {
+    console.error("Error setting income settings:", error)
+    return false
+  }
+}
+
+/**
+ * Tax settings storage keys
+ */
+const TAX_SETTINGS_KEY = "taxSettings"
+const DEFAULT_TAX_SETTINGS = {
+  wageBasis: "gross", // "gross" or "net" (after tax)
+  country: "us", // Tax table id in data/tax-tables
+  region: "", // Region code within the table, "" for none
+}
+
+/**
+ * Get tax settings from storage
+ * @returns {Promise<Object>} Tax settings object
+ */
+async function getTaxSettings() {
+  try {
+    const result = await chrome.storage.local.get(TAX_SETTINGS_KEY)
+    return { ...DEFAULT_TAX_SETTINGS, ...result[TAX_SETTINGS_KEY] }
+  } catch (error) {
+    console.error("Error getting tax settings:", error)
+    return { ...DEFAULT_TAX_SETTINGS }
+  }
+}
+
+/**
+ * Check that tax settings have a known wage basis and a tax profile
+ * @param {Object} settings - Tax settings object
+ * @returns {boolean} True if the settings are valid
+ */
+function isValidTaxSettings(settings) {
+  return (
+    typeof settings === "object" &&
+    settings !== null &&
+    (settings.wageBasis === "gross" || settings.wageBasis === "net") &&
+    typeof settings.country === "string" &&
+    typeof settings.region === "string"
+  )
+}
+
+/**
+ * Set tax settings in storage
+ * @param {Object} settings - Tax settings object
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setTaxSettings(settings) {
+  if (!isValidTaxSettings(settings)) {
+    console.error("Invalid tax settings:", settings)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [TAX_SETTINGS_KEY]: settings })
+    return true
+  } catch (error) {
+    console.error("Error setting tax settings:", error)
+    return false
+  }
+}
+
+/**
+ * True wage settings storage key
+ */
+const TRUE_WAGE_SETTINGS_KEY = "trueWageSettings"
+
+/**
+ * Get true wage settings (commute, unpaid overtime, work costs) from storage
+ * @returns {Promise<Object>} True wage settings object
+ */
+async function getTrueWageSettings() {
+  try {
+    const result = await chrome.storage.local.get(TRUE_WAGE_SETTINGS_KEY)
+    const stored = result[TRUE_WAGE_SETTINGS_KEY] || {}
+    return {
+      ...DEFAULT_TRUE_WAGE_SETTINGS,
+      ...stored,
+      monthlyCosts: {
+        ...DEFAULT_TRUE_WAGE_SETTINGS.monthlyCosts,
+        ...stored.monthlyCosts,
+      },
+    }
+  } catch (error) {
+    console.error("Error getting true wage settings:", error)
+    return { ...DEFAULT_TRUE_WAGE_SETTINGS }
+  }
+}
+
+/**
+ * Set true wage settings in storage
+ * @param {Object} settings - True wage settings object
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setTrueWageSettings(settings) {
+  if (!isValidTrueWageSettings(settings)) {
+    console.error("Invalid true wage settings:", settings)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [TRUE_WAGE_SETTINGS_KEY]: settings })
+    return true
+  } catch (error) {
+    console.error("Error setting true wage settings:", error)
+    return false
+  }
+}
+
+/**
+ * Get the wage used for conversions along with how it was derived
+ * Gross wage -> take-home wage (if net mode) -> true wage (if enabled)
+ * A tax table for another currency than the wage's is skipped, and named in
+ * taxCurrencyMismatch, since its brackets can't be read in the wage currency.
+ * @returns {Promise<Object>} Breakdown with grossHourlyWage, netHourlyWage,
+ *   hourlyWage (the one to convert with), wageBasis, taxProfile, trueWage,
+ *   currency and taxCurrencyMismatch
+ */
+async function getWageBreakdown() {
+  const grossHourlyWage = await getHourlyWage()
+  const breakdown = {
+    grossHourlyWage: grossHourlyWage,
+    netHourlyWage: grossHourlyWage,
+    hourlyWage: grossHourlyWage,
+    wageBasis: "gross",
+    taxProfile: null,
+    trueWage: null,
+    currency: await getCurrency(),
+    taxCurrencyMismatch: null,
+  }
+
+  if (grossHourlyWage <= 0) {
+    return breakdown
+  }
+
+  const incomeSettings = await getIncomeSettings()
+  const taxSettings = await getTaxSettings()
+  const table =
+    taxSettings.wageBasis === "net"
+      ? await loadTaxTable(taxSettings.country)
+      : null
+
+  if (table && table.currency !== breakdown.currency) {
+    breakdown.taxCurrencyMismatch = {
+      name: getTaxProfileName(table, taxSettings.region),
+      currency: table.currency,
+    }
+  } else if (table) {
+    const hoursPerYear = calculateWorkedHoursPerYear(incomeSettings)
+    breakdown.netHourlyWage = calculateNetHourlyWage(
+      grossHourlyWage,
+      hoursPerYear,
+      table,
+      taxSettings.region
+    )
+    breakdown.hourlyWage = breakdown.netHourlyWage
+    breakdown.wageBasis = "net"
+    breakdown.taxProfile = {
+      name: getTaxProfileName(table, taxSettings.region),
+      version: table.version,
+      taxYear: table.taxYear,
+    }
+  }
+
+  const trueWageSettings = await getTrueWageSettings()
+  if (trueWageSettings.enabled) {
+    breakdown.trueWage = calculateTrueHourlyWage(
+      breakdown.hourlyWage,
+      incomeSettings,
+      trueWageSettings
+    )
+    if (breakdown.trueWage) {
+      breakdown.hourlyWage = breakdown.trueWage.hourlyWage
+    }
+  }
+
+  return breakdown
+}
+
+/**
+ * Wage breakdown storage key
+ * The service worker keeps the breakdown here so content scripts can use
+ * it without loading the tax tables, which web pages can't reach.
+ */
+const WAGE_BREAKDOWN_KEY = "wageBreakdown"
+
+/**
+ * Calculate the wage breakdown and store it for content scripts
+ * Needs the tax tables, so only runs in the service worker.
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function saveWageBreakdown() {
+  try {
+    const breakdown = await getWageBreakdown()
+    await chrome.storage.local.set({ [WAGE_BREAKDOWN_KEY]: breakdown })
+    return true
+  } catch (error) {
+    console.error("Error saving wage breakdown:", error)
+    return false
+  }
+}
+
+/**
+ * Get the wage breakdown stored by the service worker
+ * @returns {Promise<Object|null>} Breakdown as returned by getWageBreakdown,
+ *   or null if none has been stored yet
+ */
+async function getStoredWageBreakdown() {
+  try {
+    const result = await chrome.storage.local.get(WAGE_BREAKDOWN_KEY)
+    return result[WAGE_BREAKDOWN_KEY] || null
+  } catch (error) {
+    console.error("Error getting wage breakdown:", error)
+    return null
+  }
+}
+
+/**
+ * Wage currency storage key
+ */
+const CURRENCY_KEY = "currency"
+
+/**
+ * Get the currency the wage is paid in
+ * @returns {Promise<string>} ISO 4217 currency code
+ */
+async function getCurrency() {
+  try {
+    const result = await chrome.storage.local.get(CURRENCY_KEY)
+    return result[CURRENCY_KEY] || DEFAULT_CURRENCY
+  } catch (error) {
+    console.error("Error getting currency:", error)
+    return DEFAULT_CURRENCY
+  }
+}
+
+/**
+ * Set the currency the wage is paid in
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setCurrency(currency) {
+  if (!isValidCurrency(currency)) {
+    console.error("Invalid currency:", currency)
+    return false
+  }
+
+  try {
+    await chrome.storage.local.set({ [CURRENCY_KEY]: currency })
+    return true
+  } catch (error) {
+    console.error("Error setting currency:", error)
+    return false
+  }
+}
+
+/**
+ * Site rules storage key
+ * Selectors the user picked on a site, keyed by domain:
+ * { "example.com": { include: [".sale-amount"], exclude: ["#promo-banner"] } }
+ */
+const SITE_RULES_KEY = "siteRules"
+const DEFAULT_SITE_RULES = {}
+const SITE_RULE_TYPES = ["include", "exclude"]
+const MAX_SITE_RULE_SELECTORS = 25 // Per list, per site
+const MAX_SITE_RULE_SELECTOR_LENGTH = 300
+
+/**
+ * Get the domain site rules are stored under ("www." is dropped)
+ * @param {string} hostname - Page hostname
+ * @returns {string} Domain key
+ */
+function getSiteRuleDomain(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, "")
+}
+
+/**
+ * Get the site rules for every domain
+ * @returns {Promise<Object>} Rules keyed by domain
+ */
+async function getSiteRules() {
+  try {
+    const result = await chrome.storage.local.get(SITE_RULES_KEY)
+    const rules = result[SITE_RULES_KEY]
+    return isValidSiteRules(rules) ? rules : DEFAULT_SITE_RULES
+  } catch (error) {
+    console.error("Error getting site rules:", error)
+    return DEFAULT_SITE_RULES
+  }
+}
+
+/**
+ * Get the rules that apply to a page: those for its domain and each parent
+ * domain, so rules picked on "www.example.com" also apply on
+ * "shop.example.com" pages of the same store
+ * @param {string} hostname - Page hostname
+ * @returns {Promise<{include: Array<string>, exclude: Array<string>}>} Selectors
+ */
+async function getSiteRulesForHost(hostname) {
+  const rules = await getSiteRules()
+  const labels = getSiteRuleDomain(hostname).split(".")
+  const merged = { include: [], exclude: [] }
+  for (let i = 0; i < labels.length - 1; i++) {
+    const siteRules = rules[labels.slice(i).join(".")]
+    if (siteRules) {
+      merged.include.push(...siteRules.include)
+      merged.exclude.push(...siteRules.exclude)
+    }
+  }
+  return merged
+}
+
+/**
+ * Check that site rules have the expected shape
+ * Selector syntax is checked where rules are added (see isValidCssSelector),
+ * since the service worker has no DOM to check it with.
+ * @param {Object} rules - Site rules keyed by domain
+ * @returns {boolean} True if the rules are valid
+ */
+function isValidSiteRules(rules) {
+  if (typeof rules !== "object" || rules === null || Array.isArray(rules)) {
+    return false
+  }
+  return Object.entries(rules).every(
+    ([domain, siteRules]) =>
+      /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) &&
+      typeof siteRules === "object" &&
+      siteRules !== null &&
+      SITE_RULE_TYPES.every(
+        (type) =>
+          Array.isArray(siteRules[type]) &&
+          siteRules[type].length <= MAX_SITE_RULE_SELECTORS &&
+          siteRules[type].every(
+            (selector) =>
+              typeof selector === "string" &&
+              selector.trim() !== "" &&
+              selector.length <= MAX_SITE_RULE_SELECTOR_LENGTH
+          )
+      )
+  )
+}
+
+/**
+ * Check that a CSS selector can be used with querySelectorAll
+ * Needs a DOM, so only the popup and content scripts can call it.
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if the selector parses
+ */
+function isValidCssSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Set the site rules for every domain
+ * Domains left with no selectors are removed.
+ * @param {Object} rules - Site rules keyed by domain
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setSiteRules(rules) {
+  if (!isValidSiteRules(rules)) {
+    console.error("Invalid site rules:", rules)
+    return false
+  }
+
+  const cleaned = Object.fromEntries(
+    Object.entries(rules).filter(
+      ([, siteRules]) =>
+        siteRules.include.length > 0 || siteRules.exclude.length > 0
+    )
+  )
+  try {
+    await chrome.storage.local.set({ [SITE_RULES_KEY]: cleaned })
+    return true
+  } catch (error) {
+    console.error("Error setting site rules:", error)
+    return false
+  }
+}
+
+/**
+ * Add a picked selector to a site's rules
+ * @param {string} hostname - Hostname of the page it was picked on
+ * @param {string} type - "include" (a price to detect) or "exclude" (an
+ *   element never to badge)
+ * @param {string} selector - CSS selector
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function addSiteRule(hostname, type, selector) {
+  if (!SITE_RULE_TYPES.includes(type)) {
+    console.error("Invalid site rule type:", type)
+    return false
+  }
+
+  const rules = await getSiteRules()
+  const domain = getSiteRuleDomain(hostname)
+  const siteRules = rules[domain] || { include: [], exclude: [] }
+  if (siteRules[type].includes(selector)) {
+    return true
+  }
+
+  return setSiteRules({
+    ...rules,
+    [domain]: { ...siteRules, [type]: [...siteRules[type], selector] },
+  })
+}
+
+/**
+ * Wage profile storage keys
+ */
+const PROFILES_KEY = "wageProfiles"
+const ACTIVE_PROFILE_KEY = "activeProfileId"
+
+// Settings that belong to a profile. The active profile's values live in
+// these top-level keys, so everything that reads them keeps working.
+const PROFILE_SETTING_KEYS = [
+  STORAGE_KEY,
+  INCOME_SETTINGS_KEY,
+  TAX_SETTINGS_KEY,
+  TRUE_WAGE_SETTINGS_KEY,
+  CURRENCY_KEY,
+  TIER_SETTINGS_KEY,
+  DISPLAY_MODE_KEY,
+]
+
+/**
+ * Read the profile-scoped settings currently in effect
+ * @returns {Promise<Object>} Stored values keyed by setting key
+ */
+async function getLiveProfileSettings() {
+  const result = await chrome.storage.local.get(PROFILE_SETTING_KEYS)
+  const settings = {}
+  PROFILE_SETTING_KEYS.forEach((key) => {
+    if (result[key] !== undefined) {
+      settings[key] = result[key]
+    }
+  })
+  return settings
+}
+
+/**
+ * Get all wage profiles and the active profile id
+ * Creates a "Default" profile from the current settings the first time.
+ * @returns {Promise<{profiles: Object, activeProfileId: string}>} Profiles keyed by id
+ */
+async function getProfiles() {
+  try {
+    const result = await chrome.storage.local.get([
+      PROFILES_KEY,
+      ACTIVE_PROFILE_KEY,
+    ])
+    const profiles = result[PROFILES_KEY] || {}
+    let activeProfileId = result[ACTIVE_PROFILE_KEY]
+
+    if (Object.keys(profiles).length === 0) {
+      activeProfileId = "default"
+      profiles[activeProfileId] = {
+        id: activeProfileId,
+        name: "Default",
+        settings: await getLiveProfileSettings(),
+      }
+      await chrome.storage.local.set({
+        [PROFILES_KEY]: profiles,
+        [ACTIVE_PROFILE_KEY]: activeProfileId,
+      })
+    } else if (!profiles[activeProfileId]) {
+      activeProfileId = Object.keys(profiles)[0]
+    }
+
+    return { profiles, activeProfileId }
+  } catch (error) {
+    console.error("Error getting wage profiles:", error)
+    return { profiles: {}, activeProfileId: null }
+  }
+}
+
+/**
+ * Check that a profile name is usable
+ * @param {string} name - Profile name
+ * @returns {boolean} True if the name is a non-empty string of sensible length
+ */
+function isValidProfileName(name) {
+  return typeof name === "string" && name.trim().length > 0 && name.length <= 40
+}
+
+/**
+ * Create a profile from the current settings and make it active
+ * @param {string} name - Profile name
+ * @returns {Promise<string|null>} The new profile id, or null on failure
+ */
+async function createProfile(name) {
+  if (!isValidProfileName(name)) {
+    console.error("Invalid profile name:", name)
+    return null
+  }
+
+  try {
+    const { profiles } = await getProfiles()
+    const id = `profile-${Date.now()}`
+    profiles[id] = {
+      id: id,
+      name: name.trim(),
+      settings: await getLiveProfileSettings(),
+    }
+    await chrome.storage.local.set({
+      [PROFILES_KEY]: profiles,
+      [ACTIVE_PROFILE_KEY]: id,
+    })
+    return id
+  } catch (error) {
+    console.error("Error creating wage profile:", error)
+    return null
+  }
+}
+
+/**
+ * Rename a profile
+ * @param {string} id - Profile id
+ * @param {string} name - New profile name
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function renameProfile(id, name) {
+  if (!isValidProfileName(name)) {
+    console.error("Invalid profile name:", name)
+    return false
+  }
+
+  try {
+    const { profiles } = await getProfiles()
+    if (!profiles[id]) {
+      return false
+    }
+    profiles[id].name = name.trim()
+    await chrome.storage.local.set({ [PROFILES_KEY]: profiles })
+    return true
+  } catch (error) {
+    console.error("Error renaming wage profile:", error)
+    return false
+  }
+}
+
+/**
+ * Delete a profile, switching to another one if it was active
+ * The last remaining profile can't be deleted.
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function deleteProfile(id) {
+  try {
+    const { profiles, activeProfileId } = await getProfiles()
+    if (!profiles[id] || Object.keys(profiles).length <= 1) {
+      return false
+    }
+
+    delete profiles[id]
+    if (id !== activeProfileId) {
+      await chrome.storage.local.set({ [PROFILES_KEY]: profiles })
+      return true
+    }
+
+    // Switch away and delete in one write. Switching first would make the
+    // service worker save the live settings into the profile map, which
+    // could land after the delete and bring the profile back.
+    const nextId = Object.keys(profiles)[0]
+    await writeProfileSwitch(nextId, profiles[nextId], {
+      [PROFILES_KEY]: profiles,
+    })
+    return true
+  } catch (error) {
+    console.error("Error deleting wage profile:", error)
+    return false
+  }
+}
+
+/**
+ * Switch to a profile, loading its settings into the top-level keys
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setActiveProfile(id) {
+  try {
+    const { profiles } = await getProfiles()
+    const profile = profiles[id]
+    if (!profile) {
+      console.error("Unknown wage profile:", id)
+      return false
+    }
+
+    await writeProfileSwitch(id, profile)
+    return true
+  } catch (error) {
+    console.error("Error switching wage profile:", error)
+    return false
+  }
+}
+
+/**
+ * Load a profile's settings into the top-level keys and make it active
+ * @param {string} id - Profile id
+ * @param {Object} profile - The profile
+ * @param {Object} updates - Other keys to write in the same set call
+ * @returns {Promise<void>}
+ */
+async function writeProfileSwitch(id, profile, updates = {}) {
+  await chrome.storage.local.set({
+    ...profile.settings,
+    [ACTIVE_PROFILE_KEY]: id,
+    ...updates,
+  })
+
+  // Settings the profile never set fall back to their defaults. Removed
+  // after the switch so the old profile isn't updated with a partial mix.
+  const missingKeys = PROFILE_SETTING_KEYS.filter(
+    (key) => profile.settings[key] === undefined
+  )
+  if (missingKeys.length > 0) {
+    await chrome.storage.local.remove(missingKeys)
+  }
+}
+
+/**
+ * Copy the settings currently in effect into the active profile
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function saveLiveSettingsToActiveProfile() {
+  try {
+    const { profiles, activeProfileId } = await getProfiles()
+    if (!profiles[activeProfileId]) {
+      return false
+    }
+    profiles[activeProfileId].settings = await getLiveProfileSettings()
+    await chrome.storage.local.set({ [PROFILES_KEY]: profiles })
+    return true
+  } catch (error) {
+    console.error("Error saving wage profile:", error)
     return false
   }
 }
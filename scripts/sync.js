@@ -0,0 +1,506 @@
+/**
+ * Opt-in syncing of wage profiles across devices via chrome.storage.sync
+ *
+ * Settings stay in chrome.storage.local; when sync is on, each wage profile
+ * (which holds the wage, currency, tier settings and display mode), the
+ * show-hours toggle and the price range and subscription badge choices are
+ * mirrored into chrome.storage.sync as separate items.
+ * Every item records when and on which device it was written, and the newest
+ * write wins when two devices change the same profile. Local edits not
+ * pushed yet record when they were made, so they take part too. Remote changes are
+ * applied to chrome.storage.local, so listeners only ever need to watch that
+ * area. The active profile is chosen per device and is not synced.
+ */
+
+const SYNC_ENABLED_KEY = "syncEnabled"
+const SYNC_STATUS_KEY = "syncStatus"
+const DEVICE_ID_KEY = "deviceId"
+const SYNC_LOCAL_EDITS_KEY = "syncLocalEdits"
+
+// Sync item key prefix for profiles, followed by the profile id
+const SYNC_PROFILE_PREFIX = "profile:"
+
+// Keys mirrored as-is (not per profile)
+const SYNC_GLOBAL_KEYS = [
+  SHOW_HOURS_KEY,
+  RANGE_TIER_END_KEY,
+  RECURRING_DISPLAY_KEY,
+  DETECTION_SENSITIVITY_KEY,
+]
+
+// Batch local changes so bursts of edits stay under the write rate limits
+const SYNC_PUSH_DELAY_MS = 1000
+
+let syncPushTimeout = null
+
+/**
+ * Check if sync is turned on for this device
+ * @returns {Promise<boolean>} True if sync is enabled
+ */
+async function isSyncEnabled() {
+  try {
+    const result = await chrome.storage.local.get(SYNC_ENABLED_KEY)
+    return result[SYNC_ENABLED_KEY] === true
+  } catch (error) {
+    console.error("Error getting sync state:", error)
+    return false
+  }
+}
+
+/**
+ * Turn sync on or off for this device
+ * @param {boolean} enabled - Whether to sync settings
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function setSyncEnabled(enabled) {
+  try {
+    await chrome.storage.local.set({ [SYNC_ENABLED_KEY]: enabled === true })
+    return true
+  } catch (error) {
+    console.error("Error setting sync state:", error)
+    return false
+  }
+}
+
+/**
+ * Get the last sync result for display
+ * @returns {Promise<{lastSyncedAt: number|null, error: string|null}>} Sync status
+ */
+async function getSyncStatus() {
+  try {
+    const result = await chrome.storage.local.get(SYNC_STATUS_KEY)
+    return result[SYNC_STATUS_KEY] || { lastSyncedAt: null, error: null }
+  } catch (error) {
+    console.error("Error getting sync status:", error)
+    return { lastSyncedAt: null, error: null }
+  }
+}
+
+/**
+ * Record the outcome of a sync operation
+ * @param {string|null} error - Error message, or null on success
+ */
+async function setSyncStatus(error) {
+  const status = await getSyncStatus()
+  await chrome.storage.local.set({
+    [SYNC_STATUS_KEY]: {
+      lastSyncedAt: error ? status.lastSyncedAt : Date.now(),
+      error: error,
+    },
+  })
+}
+
+/**
+ * Get this device's id, creating one the first time
+ * @returns {Promise<string>} Device id
+ */
+async function getDeviceId() {
+  const result = await chrome.storage.local.get(DEVICE_ID_KEY)
+  if (result[DEVICE_ID_KEY]) {
+    return result[DEVICE_ID_KEY]
+  }
+
+  const deviceId = `device-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 10)}`
+  await chrome.storage.local.set({ [DEVICE_ID_KEY]: deviceId })
+  return deviceId
+}
+
+/**
+ * Decide whether an incoming sync item should replace the one we have
+ * Newest write wins; ties go to the higher device id so every device
+ * reaches the same answer.
+ * @param {Object} incoming - Incoming sync item {value, updatedAt, deviceId}
+ * @param {Object|undefined} current - Item it would replace
+ * @returns {boolean} True if the incoming item wins
+ */
+function isNewerSyncItem(incoming, current) {
+  if (!current) {
+    return true
+  }
+  if (incoming.updatedAt !== current.updatedAt) {
+    return incoming.updatedAt > current.updatedAt
+  }
+  return incoming.deviceId > current.deviceId
+}
+
+/**
+ * List the sync items a local storage change touches
+ * @param {Object} changes - Local changes from chrome.storage.onChanged
+ * @returns {Object} New local values (null for deleted profiles) keyed by
+ *   sync item key
+ */
+function getChangedSyncValues(changes) {
+  const values = {}
+  SYNC_GLOBAL_KEYS.forEach((key) => {
+    if (changes[key]) {
+      const { newValue } = changes[key]
+      values[key] = newValue === undefined ? null : newValue
+    }
+  })
+
+  const profileChange = changes[PROFILES_KEY]
+  if (profileChange) {
+    const oldProfiles = profileChange.oldValue || {}
+    const newProfiles = profileChange.newValue || {}
+    const ids = new Set([
+      ...Object.keys(oldProfiles),
+      ...Object.keys(newProfiles),
+    ])
+    ids.forEach((id) => {
+      if (JSON.stringify(oldProfiles[id]) !== JSON.stringify(newProfiles[id])) {
+        values[SYNC_PROFILE_PREFIX + id] = newProfiles[id] || null
+      }
+    })
+  }
+  return values
+}
+
+/**
+ * Get when each local edit not pushed to sync yet was made
+ * @returns {Promise<Object>} Edit times (ms) keyed by sync item key
+ */
+async function getLocalSyncEdits() {
+  try {
+    const result = await chrome.storage.local.get(SYNC_LOCAL_EDITS_KEY)
+    return { ...result[SYNC_LOCAL_EDITS_KEY] }
+  } catch (error) {
+    console.error("Error getting local sync edits:", error)
+    return {}
+  }
+}
+
+/**
+ * Record when local settings that sync changed, so the edits can be
+ * weighed against writes from other devices until they're pushed
+ * Kept in storage, since the service worker may stop before the push.
+ * Values that already match sync (such as remote changes just applied)
+ * aren't edits.
+ * @param {Object} changes - Local changes from chrome.storage.onChanged
+ * @returns {Promise<void>}
+ */
+async function recordLocalSyncEdits(changes) {
+  try {
+    const values = getChangedSyncValues(changes)
+    const synced = await chrome.storage.sync.get(Object.keys(values))
+    const keys = Object.keys(values).filter((key) => {
+      const syncedValue = synced[key] ? synced[key].value : null
+      return JSON.stringify(values[key]) !== JSON.stringify(syncedValue)
+    })
+    if (keys.length === 0) {
+      return
+    }
+
+    const edits = await getLocalSyncEdits()
+    const now = Date.now()
+    keys.forEach((key) => {
+      edits[key] = now
+    })
+    await chrome.storage.local.set({ [SYNC_LOCAL_EDITS_KEY]: edits })
+  } catch (error) {
+    console.error("Error recording local sync edits:", error)
+  }
+}
+
+/**
+ * Forget the local edits a push has written to sync
+ * @param {number} pushedAt - When the push read the local settings; later
+ *   edits are kept for the next push
+ * @returns {Promise<void>}
+ */
+async function clearLocalSyncEdits(pushedAt) {
+  const edits = await getLocalSyncEdits()
+  Object.keys(edits).forEach((key) => {
+    if (edits[key] <= pushedAt) {
+      delete edits[key]
+    }
+  })
+  await chrome.storage.local.set({ [SYNC_LOCAL_EDITS_KEY]: edits })
+}
+
+/**
+ * Check if a local edit not pushed yet should win over an incoming item
+ * @param {string} key - Sync item key
+ * @param {Object} incoming - Incoming sync item {value, updatedAt, deviceId}
+ * @param {Object} localValues - From getLocalSyncValues
+ * @param {Object} localEdits - From getLocalSyncEdits
+ * @param {string} deviceId - This device's id
+ * @returns {boolean} True if the local value was edited after the incoming
+ *   item was written (and differs from it)
+ */
+function isNewerLocalEdit(key, incoming, localValues, localEdits, deviceId) {
+  if (localEdits[key] === undefined) {
+    return false
+  }
+  const localValue = localValues[key] === undefined ? null : localValues[key]
+  if (JSON.stringify(localValue) === JSON.stringify(incoming.value)) {
+    return false
+  }
+  return isNewerSyncItem(
+    { updatedAt: localEdits[key], deviceId: deviceId },
+    incoming
+  )
+}
+
+/**
+ * Build the sync items that represent the current local settings
+ * @returns {Promise<Object>} Plain values keyed by sync item key
+ */
+async function getLocalSyncValues() {
+  const result = await chrome.storage.local.get([
+    PROFILES_KEY,
+    ...SYNC_GLOBAL_KEYS,
+  ])
+  const values = {}
+
+  Object.values(result[PROFILES_KEY] || {}).forEach((profile) => {
+    values[SYNC_PROFILE_PREFIX + profile.id] = profile
+  })
+  SYNC_GLOBAL_KEYS.forEach((key) => {
+    if (result[key] !== undefined) {
+      values[key] = result[key]
+    }
+  })
+
+  return values
+}
+
+/**
+ * Check that a batch of sync writes fits chrome.storage.sync's quotas
+ * @param {Object} items - Items about to be written, keyed by sync key
+ * @returns {Promise<string|null>} Error message, or null if it fits
+ */
+async function checkSyncQuota(items) {
+  const sync = chrome.storage.sync
+  const itemSize = (key, item) => key.length + JSON.stringify(item).length
+
+  for (const [key, item] of Object.entries(items)) {
+    if (itemSize(key, item) > sync.QUOTA_BYTES_PER_ITEM) {
+      return `"${key}" is too large to sync`
+    }
+  }
+
+  const existing = await sync.get(null)
+  const merged = { ...existing, ...items }
+  const keys = Object.keys(merged)
+  if (keys.length > sync.MAX_ITEMS) {
+    return "Too many profiles to sync"
+  }
+
+  const totalSize = keys.reduce(
+    (sum, key) => sum + itemSize(key, merged[key]),
+    0
+  )
+  if (totalSize > sync.QUOTA_BYTES) {
+    return "Synced settings exceed the browser's storage quota"
+  }
+
+  return null
+}
+
+/**
+ * Push local settings that differ from what's in sync
+ * Profiles deleted locally are written as tombstones (value null) so other
+ * devices delete them too.
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function pushToSync() {
+  if (!(await isSyncEnabled())) {
+    return false
+  }
+
+  try {
+    const deviceId = await getDeviceId()
+    const localValues = await getLocalSyncValues()
+    const synced = await chrome.storage.sync.get(null)
+    const now = Date.now()
+    const items = {}
+
+    Object.entries(localValues).forEach(([key, value]) => {
+      const current = synced[key]
+      if (!current || JSON.stringify(current.value) !== JSON.stringify(value)) {
+        items[key] = { value, updatedAt: now, deviceId }
+      }
+    })
+
+    Object.keys(synced).forEach((key) => {
+      const isDeletedProfile =
+        key.startsWith(SYNC_PROFILE_PREFIX) &&
+        synced[key].value !== null &&
+        !(key in localValues)
+      if (isDeletedProfile) {
+        items[key] = { value: null, updatedAt: now, deviceId }
+      }
+    })
+
+    if (Object.keys(items).length === 0) {
+      await clearLocalSyncEdits(now)
+      return true
+    }
+
+    const quotaError = await checkSyncQuota(items)
+    if (quotaError) {
+      await setSyncStatus(quotaError)
+      return false
+    }
+
+    await chrome.storage.sync.set(items)
+    await clearLocalSyncEdits(now)
+    await setSyncStatus(null)
+    return true
+  } catch (error) {
+    console.error("Error pushing settings to sync:", error)
+    await setSyncStatus(error.message || "Sync failed")
+    return false
+  }
+}
+
+/**
+ * Push local changes to sync after a short delay, batching bursts of edits
+ */
+function schedulePushToSync() {
+  clearTimeout(syncPushTimeout)
+  syncPushTimeout = setTimeout(pushToSync, SYNC_PUSH_DELAY_MS)
+}
+
+/**
+ * Apply sync items from other devices to local storage
+ * @param {Object} items - Sync items keyed by sync key
+ * @returns {Promise<void>}
+ */
+async function applySyncItems(items) {
+  const result = await chrome.storage.local.get([
+    PROFILES_KEY,
+    ACTIVE_PROFILE_KEY,
+  ])
+  const profiles = { ...result[PROFILES_KEY] }
+  const updates = {}
+  let profilesChanged = false
+
+  Object.entries(items).forEach(([key, item]) => {
+    if (key.startsWith(SYNC_PROFILE_PREFIX)) {
+      const id = key.slice(SYNC_PROFILE_PREFIX.length)
+      if (item.value === null) {
+        profilesChanged = profilesChanged || id in profiles
+        delete profiles[id]
+      } else {
+        profiles[id] = item.value
+        profilesChanged = true
+      }
+    } else if (SYNC_GLOBAL_KEYS.includes(key)) {
+      updates[key] = item.value
+    }
+  })
+
+  // Never end up without a profile; keep the active one if it was deleted
+  // remotely and it's the only one left
+  const activeProfileId = result[ACTIVE_PROFILE_KEY]
+  if (Object.keys(profiles).length === 0 && result[PROFILES_KEY]) {
+    profiles[activeProfileId] = result[PROFILES_KEY][activeProfileId]
+  }
+
+  if (profilesChanged) {
+    updates[PROFILES_KEY] = profiles
+  }
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates)
+  }
+
+  // Load the active profile's new settings (or switch away from it if it
+  // was deleted on another device)
+  if (profilesChanged) {
+    const nextId = profiles[activeProfileId]
+      ? activeProfileId
+      : Object.keys(profiles)[0]
+    const activeKey = SYNC_PROFILE_PREFIX + activeProfileId
+    if (nextId !== activeProfileId || items[activeKey]) {
+      await setActiveProfile(nextId)
+    }
+  }
+}
+
+/**
+ * Handle a change to chrome.storage.sync
+ * Changes written by this device are ignored. When a remote write loses
+ * to a newer local one, the local item is written back; when it loses to
+ * a local edit still waiting to be pushed, the edit is pushed.
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @returns {Promise<void>}
+ */
+async function handleSyncChanges(changes) {
+  if (!(await isSyncEnabled())) {
+    return
+  }
+
+  const deviceId = await getDeviceId()
+  const localValues = await getLocalSyncValues()
+  const localEdits = await getLocalSyncEdits()
+  const accepted = {}
+  const restore = {}
+  let keptLocalEdit = false
+
+  Object.entries(changes).forEach(([key, change]) => {
+    const incoming = change.newValue
+    if (!incoming || incoming.deviceId === deviceId) {
+      return
+    }
+    if (isNewerLocalEdit(key, incoming, localValues, localEdits, deviceId)) {
+      keptLocalEdit = true
+    } else if (isNewerSyncItem(incoming, change.oldValue)) {
+      accepted[key] = incoming
+    } else if (change.oldValue.deviceId === deviceId) {
+      restore[key] = change.oldValue
+    }
+  })
+
+  if (Object.keys(accepted).length > 0) {
+    await applySyncItems(accepted)
+    await setSyncStatus(null)
+  }
+  if (Object.keys(restore).length > 0) {
+    await chrome.storage.sync.set(restore)
+  }
+  if (keptLocalEdit) {
+    schedulePushToSync()
+  }
+}
+
+/**
+ * Merge local settings with sync when sync is turned on
+ * Items already in sync win over local ones (so a new device picks up the
+ * shared settings), unless the local value was edited after the item was
+ * written; those edits and anything only on this device are pushed.
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+async function mergeWithSync() {
+  if (!(await isSyncEnabled())) {
+    return false
+  }
+
+  try {
+    const synced = await chrome.storage.sync.get(null)
+    const deviceId = await getDeviceId()
+    const localValues = await getLocalSyncValues()
+    const localEdits = await getLocalSyncEdits()
+    const remote = {}
+    Object.entries(synced).forEach(([key, item]) => {
+      if (
+        item &&
+        item.deviceId !== deviceId &&
+        !isNewerLocalEdit(key, item, localValues, localEdits, deviceId)
+      ) {
+        remote[key] = item
+      }
+    })
+
+    if (Object.keys(remote).length > 0) {
+      await applySyncItems(remote)
+    }
+    return await pushToSync()
+  } catch (error) {
+    console.error("Error merging settings with sync:", error)
+    await setSyncStatus(error.message || "Sync failed")
+    return false
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Take-home (after-tax) wage calculation using bundled tax tables
+ *
+ * Tables live in data/tax-tables as JSON so they can be updated without code
+ * changes. Each tax in a table is a progressive schedule: an optional
+ * deduction is subtracted from gross income, then each bracket's rate applies
+ * to the part of the remainder up to its `upTo` bound (null = no bound).
+ */
+
+const TAX_TABLES_PATH = "data/tax-tables/"
+
+// Loaded tables, keyed by table id ("index" holds the table list)
+const taxTableCache = new Map()
+
+/**
+ * Fetch a JSON file from the tax tables directory
+ * @param {string} fileName - File name relative to the tax tables directory
+ * @returns {Promise<Object|null>} Parsed JSON, or null if it can't be loaded
+ */
+async function fetchTaxTableFile(fileName) {
+  try {
+    const response = await fetch(
+      chrome.runtime.getURL(TAX_TABLES_PATH + fileName)
+    )
+    if (!response.ok) {
+      return null
+    }
+    return await response.json()
+  } catch (error) {
+    console.error("Error loading tax table file:", fileName, error)
+    return null
+  }
+}
+
+/**
+ * Get the list of available tax tables
+ * @returns {Promise<Array<{id: string, file: string}>>} Available tables
+ */
+async function getTaxTableList() {
+  if (!taxTableCache.has("index")) {
+    const index = await fetchTaxTableFile("index.json")
+    if (!index || !Array.isArray(index.tables)) {
+      return []
+    }
+    taxTableCache.set("index", index)
+  }
+  return taxTableCache.get("index").tables
+}
+
+/**
+ * Load a country's tax table
+ * @param {string} id - Table id (e.g. "us")
+ * @returns {Promise<Object|null>} The tax table, or null if not available
+ */
+async function loadTaxTable(id) {
+  if (taxTableCache.has(id)) {
+    return taxTableCache.get(id)
+  }
+
+  const entry = (await getTaxTableList()).find((t) => t.id === id)
+  if (!entry) {
+    return null
+  }
+
+  const table = await fetchTaxTableFile(entry.file)
+  if (!table || !Array.isArray(table.taxes)) {
+    return null
+  }
+
+  taxTableCache.set(id, table)
+  return table
+}
+
+/**
+ * Apply a single progressive tax schedule to an amount
+ * @param {number} income - Annual gross income
+ * @param {Object} tax - Tax entry with optional deduction and brackets
+ * @returns {number} Tax owed for the year
+ */
+function calculateTaxAmount(income, tax) {
+  const taxable = Math.max(0, income - (tax.deduction || 0))
+  let owed = 0
+  let lowerBound = 0
+
+  for (const bracket of tax.brackets) {
+    const upperBound = bracket.upTo === null ? Infinity : bracket.upTo
+    if (taxable <= lowerBound) {
+      break
+    }
+    owed += (Math.min(taxable, upperBound) - lowerBound) * bracket.rate
+    lowerBound = upperBound
+  }
+
+  return owed
+}
+
+/**
+ * Get all taxes that apply for a table and region
+ * @param {Object} table - Tax table
+ * @param {string} region - Region code, or "" for none
+ * @returns {Array<Object>} National taxes followed by regional ones
+ */
+function getApplicableTaxes(table, region) {
+  const regional = (table.regions && table.regions[region]) || null
+  return regional ? [...table.taxes, ...regional.taxes] : table.taxes
+}
+
+/**
+ * Calculate annual taxes for an income
+ * @param {number} income - Annual gross income
+ * @param {Object} table - Tax table
+ * @param {string} region - Region code, or "" for none
+ * @returns {{total: number, items: Array<{name: string, amount: number}>}} Tax totals
+ */
+function calculateAnnualTaxes(income, table, region = "") {
+  const items = getApplicableTaxes(table, region).map((tax) => ({
+    name: tax.name,
+    amount: calculateTaxAmount(income, tax),
+  }))
+  const total = items.reduce((sum, item) => sum + item.amount, 0)
+  return { total, items }
+}
+
+/**
+ * Derive the take-home hourly wage from a gross hourly wage
+ * @param {number} grossHourlyWage - Gross hourly wage
+ * @param {number} hoursPerYear - Hours worked per year
+ * @param {Object} table - Tax table
+ * @param {string} region - Region code, or "" for none
+ * @returns {number} Net hourly wage, or the gross wage if it can't be derived
+ */
+function calculateNetHourlyWage(grossHourlyWage, hoursPerYear, table, region) {
+  if (grossHourlyWage <= 0 || hoursPerYear <= 0 || !table) {
+    return grossHourlyWage
+  }
+
+  const annualIncome = grossHourlyWage * hoursPerYear
+  const { total } = calculateAnnualTaxes(annualIncome, table, region)
+  return Math.max(0, annualIncome - total) / hoursPerYear
+}
+
+/**
+ * Get a display name for a tax profile
+ * @param {Object} table - Tax table
+ * @param {string} region - Region code, or "" for none
+ * @returns {string} Profile name (e.g. "United States – California")
+ */
+function getTaxProfileName(table, region) {
+  const regional = table.regions && table.regions[region]
+  return regional && region ? `${table.name} – ${regional.name}` : table.name
+}
@@ -0,0 +1,212 @@
+/**
+ * Price format checks
+ * Loads the price detector in a VM and checks every row of the "Price
+ * number formats" table in README.md, so the table can't drift from what
+ * the code does. Also checks how units and billing periods after a price
+ * are read, and that
+ * every currency the detector can read from a symbol or a region has a
+ * default exchange rate.
+ *
+ * Run with: node test/price-formats.js
+ */
+
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+
+const ROOT = path.join(__dirname, "..")
+
+// The detector, its dependencies and the rate table, in manifest order
+const DETECTOR_SCRIPTS = [
+  "scripts/currency.js",
+  "scripts/exchange-rates.js",
+  "utils/site-adapters.js",
+  "scripts/price-detector.js",
+]
+
+// Spaces the README says group digits the same way as a plain space
+const GROUP_SPACES = ["\u00a0", "\u202f"]
+
+// Text after a price and the unit it's quoted per (null for none)
+const UNIT_CASES = [
+  ["$3.99/lb", "lb"],
+  ["$2.00 / 100 g", "100 g"],
+  ["€2,49 per kg", "kg"],
+  ["2,49 € je Stück", "item"],
+  ["$5 a lb", "lb"],
+  ["$12 an item", "item"],
+  ["$1.50 ea", "item"],
+  ["$1.50 each", "item"],
+  ["$5 am", null],
+  ["$5 a month", null],
+  ["$5 per month", null],
+  ["$5 meal", null],
+  ["$5 earrings", null],
+]
+
+// Text after a price and the billing period it's charged for (null for a
+// one-off price)
+const BILLING_PERIOD_CASES = [
+  ["$5/mo", "month"],
+  ["$5 / month", "month"],
+  ["$5 per month", "month"],
+  ["$5 a month", "month"],
+  ["€5 par an", "year"],
+  ["5 € al mes", "month"],
+  ["$60 billed annually", "year"],
+  ["$5 monthly", "month"],
+  ["$5 am", null],
+  ["$5 amo", null],
+  ["$5 Ames", null],
+  ["$5 Alan", null],
+  ["$5 permonth", null],
+]
+
+/**
+ * Load the detector into a fresh context with the page globals it reads
+ * @returns {Object} VM context with the detector's functions
+ */
+function loadDetector() {
+  const context = vm.createContext({
+    console,
+    document: { documentElement: { lang: "" } },
+    window: { location: { hostname: "example.com" } },
+  })
+  DETECTOR_SCRIPTS.forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8")
+    vm.runInContext(source, context, { filename: file })
+  })
+  return context
+}
+
+/**
+ * Read the rows of the price number formats table in README.md
+ * @returns {Array<{text: string, locale: string, currency: string, amount: number}>}
+ *   One entry per row
+ */
+function readFormatTable() {
+  const readme = fs.readFileSync(path.join(ROOT, "README.md"), "utf8")
+  const section = readme.split("### Price number formats")[1].split("\n### ")[0]
+  return section
+    .split("\n")
+    .filter((line) => line.startsWith("| `"))
+    .map((line) => {
+      const [text, locale, currency, amount] = line
+        .split("|")
+        .slice(1, 5)
+        .map((cell) => cell.trim())
+      return {
+        text: text.replace(/^`|`$/g, ""),
+        locale,
+        currency,
+        amount: Number(amount),
+      }
+    })
+}
+
+/**
+ * Check every table row, and the spaced rows with each other group space
+ * @param {Object} detector - Context from loadDetector
+ * @returns {Array<string>} Failure messages
+ */
+function checkFormatTable(detector) {
+  const rows = readFormatTable()
+  if (rows.length === 0) {
+    return ["No rows found in the README price number formats table"]
+  }
+
+  const cases = rows.flatMap((row) =>
+    row.text.includes(" ") && /^(?:fr|sv)-/.test(row.locale)
+      ? [
+          row,
+          ...GROUP_SPACES.map((space) => ({
+            ...row,
+            text: row.text.replace(/ (?=\d)/g, space),
+          })),
+        ]
+      : [row]
+  )
+
+  return cases
+    .map(({ text, locale, currency, amount }) => {
+      const parsed = vm.runInContext("parsePrice", detector)(text, {
+        locale,
+        currency,
+      })
+      return parsed !== null && Math.abs(parsed - amount) < 1e-9
+        ? null
+        : `${JSON.stringify(text)} (${locale}, ${currency}): expected ${amount}, got ${parsed}`
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Check the unit each unit case is read with
+ * @param {Object} detector - Context from loadDetector
+ * @returns {Array<string>} Failure messages
+ */
+function checkUnits(detector) {
+  const detectPriceDeal = vm.runInContext("detectPriceDeal", detector)
+  return UNIT_CASES.map(([text, unit]) => {
+    const deal = detectPriceDeal(text, 1)
+    const found = deal && deal.type === "unit" ? deal.unit : null
+    return found === unit
+      ? null
+      : `${JSON.stringify(text)}: expected unit ${unit}, got ${found}`
+  }).filter(Boolean)
+}
+
+/**
+ * Check the billing period each billing period case is read with
+ * @param {Object} detector - Context from loadDetector
+ * @returns {Array<string>} Failure messages
+ */
+function checkBillingPeriods(detector) {
+  const detectBillingPeriod = vm.runInContext("detectBillingPeriod", detector)
+  return BILLING_PERIOD_CASES.map(([text, period]) => {
+    const found = detectBillingPeriod(text)
+    return found === period
+      ? null
+      : `${JSON.stringify(text)}: expected billing period ${period}, got ${found}`
+  }).filter(Boolean)
+}
+
+/**
+ * Check that the default rate table covers every currency a symbol or a
+ * region maps to, so those prices aren't skipped for a missing rate
+ * @param {Object} detector - Context from loadDetector
+ * @returns {Array<string>} Failure messages
+ */
+function checkDefaultRates(detector) {
+  const { symbols, shared, regions, rates } = vm.runInContext(
+    `({
+      symbols: CURRENCY_SYMBOLS,
+      shared: SHARED_CURRENCY_SYMBOLS,
+      regions: REGION_CURRENCIES,
+      rates: DEFAULT_EXCHANGE_RATES.rates,
+    })`,
+    detector
+  )
+  const currencies = new Set([
+    ...Object.values(symbols),
+    ...Object.values(shared).flat(),
+    ...Object.values(regions),
+  ])
+  return [...currencies]
+    .filter((currency) => rates[currency] === undefined)
+    .map((currency) => `no default exchange rate for ${currency}`)
+}
+
+const detector = loadDetector()
+const failures = [
+  ...checkFormatTable(detector),
+  ...checkUnits(detector),
+  ...checkBillingPeriods(detector),
+  ...checkDefaultRates(detector),
+]
+failures.forEach((failure) => console.error(`FAIL ${failure}`))
+if (failures.length > 0) {
+  console.error(`${failures.length} price format checks failed`)
+  process.exit(1)
+}
+console.log("All price format checks passed")
@@ -0,0 +1,152 @@
+/**
+ * Time-sliced scanning
+ *
+ * Detection and badge injection walk every element of the page, which on
+ * category pages with thousands of products blocks scrolling and input for
+ * hundreds of milliseconds. A slicer splits that work into short chunks:
+ * callers run one unit of work (an element, a text node, a badge) and then
+ * await checkpoint(), which hands the main thread back to the page once the
+ * chunk's budget is spent and resumes when the browser is idle.
+ */
+
+// Longest a chunk may run (under one 60fps frame, leaving time to render)
+const SCAN_FRAME_BUDGET_MS = 8
+
+// Resume after this long even if the page never goes idle
+const SCAN_IDLE_TIMEOUT_MS = 200
+
+// How far outside the viewport still counts as near it: one screen above
+// and below
+const SCAN_VIEWPORT_MARGIN = "100% 0px"
+
+// Wait this long for the viewport check before treating elements as far
+// (background tabs don't render, so the observer never reports)
+const SCAN_VIEWPORT_TIMEOUT_MS = 100
+
+/**
+ * Wait until the browser is idle
+ * Falls back to a timeout where requestIdleCallback isn't available.
+ * @returns {Promise<IdleDeadline|null>} The idle period's deadline, or null
+ */
+function waitForIdle() {
+  if (typeof requestIdleCallback === "function") {
+    return new Promise((resolve) =>
+      requestIdleCallback(resolve, { timeout: SCAN_IDLE_TIMEOUT_MS })
+    )
+  }
+  return new Promise((resolve) => setTimeout(() => resolve(null), 0))
+}
+
+/**
+ * Create a slicer for one scan
+ * @param {Function} isCancelled - Returns true once the scan is no longer
+ *   wanted (a newer scan replaced it), checked each time the scan resumes
+ * @returns {{checkpoint: Function, markPhase: Function, finish: Function, metrics: Object}}
+ *   checkpoint() resolves to false when the scan was cancelled;
+ *   markPhase(name) records how long after the start a step ended;
+ *   finish() closes the last chunk and returns the metrics: chunks run,
+ *   total time spent working (busyMs), the longest chunk, the time from
+ *   start to finish including idle waits (elapsedMs), and the phases
+ */
+function createScanSlicer(isCancelled = () => false) {
+  const startedAt = performance.now()
+  let chunkStart = startedAt
+  let budget = SCAN_FRAME_BUDGET_MS
+  const metrics = {
+    chunks: 0,
+    busyMs: 0,
+    longestChunkMs: 0,
+    elapsedMs: 0,
+    phases: {},
+  }
+  const round = (ms) => Math.round(ms * 10) / 10 // Tenths are plenty
+
+  const endChunk = () => {
+    const duration = performance.now() - chunkStart
+    metrics.chunks++
+    metrics.busyMs += duration
+    metrics.longestChunkMs = Math.max(metrics.longestChunkMs, duration)
+  }
+
+  return {
+    metrics,
+
+    async checkpoint() {
+      if (performance.now() - chunkStart < budget) {
+        return true
+      }
+      endChunk()
+      const deadline = await waitForIdle()
+      // An idle period may be shorter than a frame; a timed-out wait (or no
+      // idle callback) gets the full budget
+      budget =
+        deadline && !deadline.didTimeout
+          ? Math.min(deadline.timeRemaining(), SCAN_FRAME_BUDGET_MS)
+          : SCAN_FRAME_BUDGET_MS
+      chunkStart = performance.now()
+      return !isCancelled()
+    },
+
+    markPhase(name) {
+      metrics.phases[name] = round(performance.now() - startedAt)
+    },
+
+    finish() {
+      endChunk()
+      chunkStart = performance.now()
+      metrics.elapsedMs = round(chunkStart - startedAt)
+      metrics.busyMs = round(metrics.busyMs)
+      metrics.longestChunkMs = round(metrics.longestChunkMs)
+      return metrics
+    },
+  }
+}
+
+/**
+ * Split elements into those in or near the viewport and the rest, so the
+ * ones the user can see are handled first
+ * Elements the check can't place (no IntersectionObserver, or no report in
+ * time) count as far. Each group keeps the elements' order.
+ * @param {Array<HTMLElement>} elements - Elements to sort
+ * @returns {Promise<{near: Array<HTMLElement>, far: Array<HTMLElement>}>}
+ *   The elements by distance from the viewport
+ */
+function partitionByViewport(elements) {
+  if (typeof IntersectionObserver !== "function" || elements.length === 0) {
+    return Promise.resolve({ near: [], far: elements })
+  }
+
+  return new Promise((resolve) => {
+    const nearElements = new Set()
+    const reported = new Set()
+    let timeout = null
+
+    const finish = () => {
+      clearTimeout(timeout)
+      observer.disconnect()
+      resolve({
+        near: elements.filter((element) => nearElements.has(element)),
+        far: elements.filter((element) => !nearElements.has(element)),
+      })
+    }
+
+    // The first report for each element says where it is now
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          reported.add(entry.target)
+          if (entry.isIntersecting) {
+            nearElements.add(entry.target)
+          }
+        })
+        if (reported.size >= elements.length) {
+          finish()
+        }
+      },
+      { rootMargin: SCAN_VIEWPORT_MARGIN }
+    )
+
+    timeout = setTimeout(finish, SCAN_VIEWPORT_TIMEOUT_MS)
+    elements.forEach((element) => observer.observe(element))
+  })
+}
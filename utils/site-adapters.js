@@ -0,0 +1,166 @@
+/**
+ * Per-site price detection rules
+ *
+ * Each adapter describes how one store marks up its prices. Stores with an
+ * adapter are scanned with its rules only; other sites use the generic
+ * detector (GENERIC_SITE_ADAPTER in scripts/price-detector.js).
+ *
+ * Adapter fields:
+ * - domains: domains the adapter handles, subdomains included
+ * - selectors: price elements
+ * - composites: prices split across elements, read as one price. container
+ *   holds the parts; value is an element with the whole price for screen
+ *   readers, preferred when present; skip matches parts left out when the
+ *   parts are joined.
+ * - exclude: areas of the page whose prices are never badged
+ * - badgeAfter: ancestor of a price element to place the badge after, for
+ *   stores that wrap the price text in several spans (null places it right
+ *   after the price element)
+ * - scanText: also search page text for prices the selectors missed
+ */
+
+const SITE_ADAPTERS = [
+  {
+    name: "Amazon",
+    domains: [
+      "amazon.com",
+      "amazon.co.uk",
+      "amazon.ca",
+      "amazon.de",
+      "amazon.fr",
+      "amazon.it",
+      "amazon.es",
+      "amazon.nl",
+      "amazon.in",
+      "amazon.co.jp",
+      "amazon.com.au",
+      "amazon.com.mx",
+      "amazon.com.br",
+    ],
+    selectors: [
+      "[data-a-color='price']",
+      "#priceblock_ourprice",
+      "#priceblock_dealprice",
+      "#price_inside_buybox",
+      // Deal prices, without the countdowns next to them
+      '[class*="deal"]:not([class*="time"]):not([class*="timer"]):not([class*="countdown"])',
+    ],
+    composites: [
+      // .a-price-symbol, .a-price-whole and .a-price-fraction
+      { container: ".a-price", value: ".a-offscreen", skip: ".a-offscreen" },
+    ],
+    exclude: ["#nav-main", "#navbar", ".a-popover-preload"],
+    badgeAfter: null,
+    scanText: false,
+  },
+  {
+    name: "eBay",
+    domains: ["ebay.com"],
+    selectors: [
+      ".x-price-primary",
+      ".x-bin-price__content",
+      ".s-item__price",
+      "#prcIsum",
+      "#mm-saleDscPrc",
+    ],
+    composites: [],
+    exclude: ["#gh", ".srp-refine__category"],
+    // Listing prices are a .ux-textspans inside the price block
+    badgeAfter: ".x-price-primary",
+    scanText: false,
+  },
+  {
+    name: "Etsy",
+    domains: ["etsy.com"],
+    selectors: [".currency-value", "[data-buy-box-region='price'] p"],
+    composites: [],
+    exclude: ["header", "#gnav-search"],
+    badgeAfter: null,
+    scanText: false,
+  },
+  {
+    name: "Walmart",
+    domains: ["walmart.com"],
+    selectors: ["[itemprop='price']"],
+    composites: [
+      // "$", dollars and raised cents in separate spans, hidden from screen
+      // readers. The screen reader copy beside them only has a generated
+      // class, so it's skipped as the part that isn't aria-hidden.
+      {
+        container: "[data-automation-id='product-price']",
+        value: "[itemprop='price']",
+        skip: "[data-automation-id='product-price'] > :not([aria-hidden='true'])",
+      },
+    ],
+    exclude: ["header", "footer"],
+    badgeAfter: null,
+    scanText: false,
+  },
+  {
+    name: "Target",
+    domains: ["target.com"],
+    selectors: ["[data-test='product-price']", "[data-test='current-price']"],
+    composites: [],
+    exclude: ["header", "footer"],
+    badgeAfter: null,
+    scanText: false,
+  },
+  {
+    name: "Best Buy",
+    domains: ["bestbuy.com"],
+    selectors: [".priceView-hero-price"],
+    composites: [
+      // Visible price plus a longer screen reader sentence
+      {
+        container: ".priceView-customer-price",
+        value: "span[aria-hidden='true']",
+        skip: ".sr-only",
+      },
+    ],
+    exclude: ["header", "footer"],
+    badgeAfter: null,
+    scanText: false,
+  },
+  {
+    name: "Newegg",
+    domains: ["newegg.com"],
+    selectors: [],
+    composites: [
+      // "$", <strong>199</strong> and <sup>.99</sup>
+      {
+        container: ".price-current",
+        value: null,
+        skip: ".price-current-label",
+      },
+    ],
+    exclude: ["header", "footer"],
+    badgeAfter: null,
+    scanText: false,
+  },
+]
+
+// Adapters by domain, for lookup by hostname suffix
+const SITE_ADAPTER_REGISTRY = new Map(
+  SITE_ADAPTERS.flatMap((adapter) =>
+    adapter.domains.map((domain) => [domain, adapter])
+  )
+)
+
+/**
+ * Find the adapter for a site
+ * Checks the hostname and each parent domain, so "www.amazon.co.uk" finds
+ * the adapter for "amazon.co.uk".
+ * @param {string} hostname - Page hostname
+ * @returns {Object|null} The site's adapter, or null to use the generic
+ *   detector
+ */
+function getSiteAdapter(hostname = window.location.hostname) {
+  const labels = hostname.toLowerCase().split(".")
+  for (let i = 0; i < labels.length - 1; i++) {
+    const adapter = SITE_ADAPTER_REGISTRY.get(labels.slice(i).join("."))
+    if (adapter) {
+      return adapter
+    }
+  }
+  return null
+}